@@ -1,323 +1,1252 @@
 /**
  * Checks & Balances (v2)
  * - Planned budget (expenses)
- * - Actual spending ledger filtered by month
- * - Budget vs Actual by category + alerts
- * - Debt payoff planner (avalanche/snowball) with feasibility detection
- * - PDF + Excel exports
- * - LocalStorage persistence with versioning + throttled writes
+ * - Actual spending ledger filtered by month, with search, category/amount/date-range filters, sorting and paging;
+ *   the filter can scope the exported ledger
+ * - Inline editing of expenses, transactions and debts (validated like the add forms; Enter saves, Escape cancels)
+ * - Split transactions: lines with their own category, amount and memo that must add up to the total
+ * - Transaction types (expense, income, refund, transfer): refunds net against their category, transfers are left
+ *   out of spending, and ledger income is compared with the estimated take-home
+ * - Base currency and number/date locale per profile; transactions and debts in other currencies, converted with a
+ *   dated exchange-rate table (original amounts kept)
+ * - Savings goals (target, date, starting balance, priority): required monthly contributions join the planned budget,
+ *   linked ledger transfers count as contributions, and completion is projected from the actual pace
+ * - Cash-flow calendar: paydays from each income source's first payday, bills and debt minimums on their due days,
+ *   and the projected daily checking balance for the next 60–90 days with low-balance warnings
+ * - Recurring transactions / bill schedules that auto-post (or wait for confirmation) when due
+ * - User-managed categories (rename, reorder, archive, merge, groups)
+ * - Income from multiple sources (own pay frequency, withholding, deductions) with simple or progressive tax
+ * - Budget vs Actual by category + alerts, with optional envelope-style rollover between months
+ * - Canvas charts (spending by category, planned vs actual, debt payoff curve per strategy), also drawn into the PDF
+ * - Multi-month trends (rolling averages, month-over-month change, suggested budgets)
+ * - Debt payoff planner (avalanche/snowball/custom order) with feasibility detection + strategy comparison;
+ *   promo APR periods, percent-of-balance minimums and scheduled lump sums
+ * - Categorization rules (description contains / starts with / regex, amount range, day of month) that set the
+ *   category and a cleaned-up description on add and import, can be re-run over the ledger, and are suggested
+ *   when a transaction is recategorized
+ * - Statement import (CSV with saved column mappings, OFX/QFX) with duplicate detection
+ * - Undo/redo for edits (Ctrl+Z / Ctrl+Shift+Z), including Reset, for the current session
+ * - PDF + Excel exports; Excel workbook import (own export or loosely matching headers)
+ * - JSON backup/restore (schema-validated, replace or merge)
+ * - IndexedDB persistence with per-record writes and a transaction-month index (one-time migration from
+ *   localStorage, which stays as the fallback); save/quota errors shown in a banner; named profiles, each stored separately
+ * - Calculations live in core.js (no DOM, tested with `npm test`); renderers and exports read computeSnapshot(state)
  */
 
-const APP_VERSION = 2;
+import {
+  APP_VERSION, FALLBACK_CATEGORY, normalizeCategory, findCategory, renameCategory, mergeCategory, TAX_TABLES,
+  PAY_FREQUENCIES, FILING_STATUSES, CURRENCIES, LOCALES, formatters, roundCents, num, clamp, uid, todayISO,
+  currentMonthISO, addMonthsISO, monthFromDateISO, isValidDateISO, defaultState, isCurrencyCode, normalizeFxRate,
+  sortFxRates, TXN_TYPES, normalizeSpending, spendingLines, normalizeRecurring, RULE_MATCH_MODES, normalizeRule,
+  GOAL_PRIORITIES, normalizeGoal, normalizeDayOfMonth, normalizeDebt, expenseErrors, spendingErrors, debtErrors,
+  lumpSumErrors, recurringErrors, goalErrors, ruleErrors, firstError, spendingError, normalizeIncomeSource,
+  normalizeImportProfile, migrateState, calcIncomeMonthly, emptyLedgerFilter, ledgerFilterActive, filterLedger,
+  ledgerFilterTotal, sortLedger, describeLedgerFilter, groupByCategory, envelopeStartMonth, fxRate, fxErrors,
+  convertSpending, reconvertSpending, knownCurrencies, plannedItems, trendAnalysis, rebalanceCategory,
+  PAYOFF_STRATEGIES, describeDebtApr, describeDebtMinimum, payoffDateLabel, nextRecurringDate,
+  postRecurringOccurrence, skipRecurringOccurrence, processRecurring, pendingRecurring, describeRecurringSchedule,
+  ruleMatches, applyRules, applyRulesToSpending, describeRule, suggestRulePattern, computeSnapshot
+} from "./core.js";
+
 const LS_KEY = "checks_balances_v2";
 
-/* ------------------------------ Categories ------------------------------ */
-
-const CATEGORIES = [
-  "Housing",
-  "Utilities",
-  "Food",
-  "Transportation",
-  "Insurance",
-  "Health",
-  "Shopping",
-  "Entertainment",
-  "Subscriptions",
-  "Childcare",
-  "Savings",
-  "Debt Minimums",
-  "Other"
-];
+let state = defaultState();
+
+/* ------------------------------ Persistence ------------------------------ */
+
+function safeParseJSON(s) {
+  try { return JSON.parse(s); } catch { return null; }
+}
+
+// Storage is per profile and goes through a backend (IndexedDB, or localStorage where that's unavailable;
+// see Storage Backends). `storageSession` ties the in-memory state to the profile it was loaded from and
+// tracks which records the backend already holds; it is null while a profile is loading.
+let storageSession = null;
+let saveChain = Promise.resolve(true);
+
+async function readStoredProfile(profileId) {
+  // Resolves to { envelope } | { raw, seqs } | null. Data still under the pre-IndexedDB localStorage key is
+  // returned with `legacyKey` set so load() can migrate it.
+  const stored = await storage.read(profileId);
+  if (stored || storage === localStorageBackend) return stored;
+  const legacy = await localStorageBackend.read(profileId);
+  return legacy && { ...legacy, legacyKey: profileStorageKey(profileId) };
+}
+
+async function load() {
+  // A locked profile starts from an empty state until unlock() decrypts the stored data.
+  storageSession = null;
+  const profileId = profiles.activeId;
+  let stored;
+  try {
+    stored = await readStoredProfile(profileId);
+  } catch (err) {
+    // Without a session nothing is saved, so the empty state can't overwrite what is stored.
+    lock = null;
+    state = defaultState();
+    setStorageError(storageErrorMessage(err, "load"));
+    return;
+  }
+  const envelope = stored?.envelope || null;
+  lock = envelope ? { key: null, salt: null, iterations: envelope.iterations, autoLockMinutes: envelope.autoLockMinutes } : null;
+  state = envelope ? defaultState() : migrateState(stored?.raw);
+  storageSession = { profileId, tracked: trackStoredRecords(envelope ? null : state, stored?.seqs), legacyKey: stored?.legacyKey || null };
+
+  // One-time move out of localStorage: the old key is only removed once the backend has the data.
+  if (!storageSession.legacyKey) return;
+  if (envelope) {
+    try {
+      await storage.writeEnvelope(profileId, envelope);
+      localStorage.removeItem(storageSession.legacyKey);
+      storageSession.legacyKey = null;
+    } catch (err) {
+      setStorageError(storageErrorMessage(err));
+    }
+  } else {
+    await save();
+  }
+}
+
+function save() {
+  // Writes are queued so each one diffs against what the previous one stored. Resolves to false when the
+  // write failed (the error is shown in the storage banner).
+  const session = storageSession;
+  saveChain = saveChain.then(() => persist(session));
+  return saveChain;
+}
+
+async function persist(session) {
+  if (!session || session !== storageSession) return true; // loading, or the profile was switched meanwhile
+  if (lock && !lock.key) return true; // locked: the stored ciphertext is never touched
+  try {
+    if (lock) {
+      // Encrypted profiles are stored as one sealed blob, so they keep whole-state writes.
+      await storage.writeEnvelope(session.profileId, await sealLockEnvelope(JSON.stringify(state), lock));
+      session.tracked = trackStoredRecords(null);
+    } else {
+      await storage.writeState(session.profileId, state, session.tracked);
+    }
+    if (session.legacyKey) {
+      localStorage.removeItem(session.legacyKey);
+      session.legacyKey = null;
+    }
+    setStorageError("");
+    return true;
+  } catch (err) {
+    setStorageError(storageErrorMessage(err));
+    return false;
+  }
+}
+
+function storageErrorMessage(err, action = "save") {
+  if (err && (err.name === "QuotaExceededError" || err.name === "NS_ERROR_DOM_QUOTA_REACHED")) {
+    return "Browser storage is full, so recent changes weren't saved. Export a backup, free up space (for example by deleting unused profiles), then retry.";
+  }
+  const detail = err && err.message ? ` (${err.message})` : "";
+  return action === "load"
+    ? `Couldn't read saved data${detail}. Showing an empty budget; nothing has been overwritten.`
+    : `Couldn't save changes${detail}. They are kept in this tab only until a save succeeds.`;
+}
+
+const saveThrottled = (() => {
+  let timeout = null;
+  return () => {
+    if (timeout) return;
+    timeout = setTimeout(() => {
+      timeout = null;
+      save();
+    }, 250);
+  };
+})();
+
+/* ------------------------------ Profiles ------------------------------ */
+
+// Each profile persists its own state. The default profile keeps the original LS_KEY, so data saved
+// before profiles existed becomes the "Default" profile without being moved.
+const PROFILES_KEY = `${LS_KEY}__profiles`;
+const DEFAULT_PROFILE_ID = "default";
+
+let profiles = normalizeProfiles(null);
+
+function profileStorageKey(id) {
+  return id === DEFAULT_PROFILE_ID ? LS_KEY : `${LS_KEY}__${id}`;
+}
+
+function normalizeProfiles(raw) {
+  const list = [];
+  for (const p of Array.isArray(raw?.list) ? raw.list : []) {
+    if (!p || !p.id || list.some(x => x.id === String(p.id))) continue;
+    list.push({ id: String(p.id), name: String(p.name || "").trim() || "Untitled" });
+  }
+  if (list.length === 0) list.push({ id: DEFAULT_PROFILE_ID, name: "Default" });
+  return { activeId: list.some(p => p.id === raw?.activeId) ? raw.activeId : list[0].id, list };
+}
+
+function loadProfiles() {
+  profiles = normalizeProfiles(safeParseJSON(localStorage.getItem(PROFILES_KEY) || ""));
+}
+
+function saveProfiles() {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+  } catch (err) {
+    setStorageError(storageErrorMessage(err));
+  }
+}
+
+function activeProfile() {
+  return profiles.list.find(p => p.id === profiles.activeId);
+}
+
+function profileNameError(name, exceptId = "") {
+  const n = String(name || "").trim();
+  if (!n) return "Name is required";
+  const clash = profiles.list.find(p => p.id !== exceptId && p.name.toLowerCase() === n.toLowerCase());
+  return clash ? `A profile named "${clash.name}" already exists` : "";
+}
+
+function exportFileStem() {
+  // Non-default profiles get their name in export file names so exports from different budgets don't collide.
+  const p = activeProfile();
+  const slug = p.id === DEFAULT_PROFILE_ID ? "" : p.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  return slug ? `checks-and-balances_${slug}` : "checks-and-balances";
+}
+
+/* ------------------------------ Storage Encryption ------------------------------ */
+
+// Optional per-profile lock: the saved state is AES-GCM encrypted with a key derived from a passphrase
+// (PBKDF2-SHA-256). The envelope keeps the salt, IV and KDF parameters next to the ciphertext.
+const LOCK_FORMAT = "checks-balances-locked";
+const LOCK_KDF_ITERATIONS = 310000;
+const AUTO_LOCK_OPTIONS = { 0: "Never", 5: "5 minutes", 15: "15 minutes", 30: "30 minutes", 60: "1 hour" };
+
+// null when the active profile is not encrypted; otherwise { key, salt, iterations, autoLockMinutes }
+// where key is null while the profile is locked.
+let lock = null;
+
+function bytesToBase64(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin);
+}
+
+function base64ToBytes(b64) {
+  return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+}
 
-/* ------------------------------ Utilities ------------------------------ */
+function parseLockEnvelope(text) {
+  const raw = safeParseJSON(text);
+  if (!raw || raw.format !== LOCK_FORMAT) return null;
+  return {
+    salt: String(raw.salt || ""),
+    iv: String(raw.iv || ""),
+    data: String(raw.data || ""),
+    iterations: Math.max(1, Math.round(num(raw.iterations))) || LOCK_KDF_ITERATIONS,
+    autoLockMinutes: AUTO_LOCK_OPTIONS[raw.autoLockMinutes] ? Number(raw.autoLockMinutes) : 15
+  };
+}
 
-const moneyFmt = new Intl.NumberFormat(undefined, { style: "currency", currency: "USD" });
+async function deriveLockKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
 
-function money(n) {
-  const v = Number(n);
-  return Number.isFinite(v) ? moneyFmt.format(v) : moneyFmt.format(0);
+async function createLock(passphrase, autoLockMinutes = 15) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveLockKey(passphrase, salt, LOCK_KDF_ITERATIONS);
+  return { key, salt, iterations: LOCK_KDF_ITERATIONS, autoLockMinutes };
 }
 
-function num(x) {
-  const v = Number(x);
-  return Number.isFinite(v) ? v : 0;
+async function sealLockEnvelope(plaintext, l) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, l.key, new TextEncoder().encode(plaintext));
+  return {
+    format: LOCK_FORMAT,
+    kdf: "PBKDF2-SHA-256",
+    iterations: l.iterations,
+    salt: bytesToBase64(l.salt),
+    iv: bytesToBase64(iv),
+    data: bytesToBase64(new Uint8Array(data)),
+    autoLockMinutes: l.autoLockMinutes
+  };
 }
 
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
+async function openLockEnvelope(envelope, passphrase) {
+  // Resolves to { lock, plaintext }; rejects on a wrong passphrase (AES-GCM authentication fails).
+  const salt = base64ToBytes(envelope.salt);
+  const key = await deriveLockKey(passphrase, salt, envelope.iterations);
+  const data = await crypto.subtle.decrypt({ name: "AES-GCM", iv: base64ToBytes(envelope.iv) }, key, base64ToBytes(envelope.data));
+  return {
+    lock: { key, salt, iterations: envelope.iterations, autoLockMinutes: envelope.autoLockMinutes },
+    plaintext: new TextDecoder().decode(data)
+  };
 }
 
-function uid(prefix = "id") {
-  return `${prefix}_${Math.random().toString(16).slice(2)}_${Date.now().toString(16)}`;
+/* ------------------------------ Storage Backends ------------------------------ */
+
+// Backends share one interface: read(profileId), writeState(profileId, state, tracked),
+// writeEnvelope(profileId, envelope) and remove(profileId). read() resolves to null when nothing is stored.
+// IndexedDB also has readLedgerMonth(profileId), a quick read of the stored ledger month (see previewLedgerMonth).
+const IDB_NAME = "checks_balances";
+const IDB_VERSION = 1;
+// Collections stored one row per record; everything else is one small settings document per profile.
+const RECORD_KINDS = ["spending", "expenses", "debts"];
+
+let storage = null;
+
+const localStorageBackend = {
+  name: "localStorage",
+  async read(profileId) {
+    const text = localStorage.getItem(profileStorageKey(profileId));
+    if (!text) return null;
+    const envelope = parseLockEnvelope(text);
+    return envelope ? { envelope } : { raw: safeParseJSON(text), seqs: null };
+  },
+  async writeState(profileId, s) {
+    localStorage.setItem(profileStorageKey(profileId), JSON.stringify(s));
+  },
+  async writeEnvelope(profileId, envelope) {
+    localStorage.setItem(profileStorageKey(profileId), JSON.stringify(envelope));
+  },
+  async remove(profileId) {
+    localStorage.removeItem(profileStorageKey(profileId));
+  }
+};
+
+function trackStoredRecords(s, seqs = null) {
+  // What the backend holds for the open profile: per kind, id -> { ref, seq }. A record is rewritten when the
+  // object in state is no longer the one that was stored; edits replace records instead of mutating them
+  // (see cmdUpdate), and snapshot commands swap in new objects only for records they changed, so a reference
+  // check is enough.
+  const tracked = { nextSeq: 1, settingsJSON: "" };
+  for (const kind of RECORD_KINDS) {
+    tracked[kind] = new Map();
+    const known = seqs?.[kind];
+    if (!s || !known) continue;
+    for (const [id, seq] of known) tracked[kind].set(id, { ref: null, seq });
+    for (const rec of s[kind]) if (known.has(rec.id)) tracked[kind].set(rec.id, { ref: rec, seq: known.get(rec.id) });
+    for (const seq of known.values()) tracked.nextSeq = Math.max(tracked.nextSeq, seq + 1);
+  }
+  return tracked;
 }
 
-function todayISO() {
-  return new Date().toISOString().slice(0, 10);
+function diffStoredRecords(s, tracked) {
+  const puts = [];
+  const deletes = [];
+  for (const kind of RECORD_KINDS) {
+    const known = tracked[kind];
+    const seen = new Set();
+    for (const rec of s[kind]) {
+      seen.add(rec.id);
+      const t = known.get(rec.id);
+      if (t && t.ref === rec) continue;
+      puts.push({ kind, rec, seq: t ? t.seq : tracked.nextSeq++ });
+    }
+    for (const id of known.keys()) if (!seen.has(id)) deletes.push({ kind, id });
+  }
+  return { puts, deletes };
 }
 
-function currentMonthISO() {
-  return new Date().toISOString().slice(0, 7); // YYYY-MM
+function storedSettings(s) {
+  // The settings document: state minus the record collections, plus the user-chosen order of expenses and debts
+  // (transactions come back in insertion order via seq).
+  const { spending, expenses, debts, ...rest } = s;
+  return { ...rest, order: { expenses: expenses.map(e => e.id), debts: debts.map(d => d.id) } };
 }
 
-function paymentsPerMonth(freq) {
-  switch (freq) {
-    case "monthly": return 1;
-    case "semimonthly": return 2;
-    case "biweekly": return 26 / 12;
-    case "weekly": return 52 / 12;
-    default: return 1;
+function joinStoredState(settings, rows) {
+  const raw = { ...settings };
+  const seqs = {};
+  delete raw.order;
+  for (const kind of RECORD_KINDS) {
+    const order = settings.order?.[kind] || [];
+    const pos = rec => { const i = order.indexOf(rec.id); return i < 0 ? Infinity : i; };
+    const mine = rows.filter(r => r.kind === kind).sort((a, b) => a.seq - b.seq);
+    seqs[kind] = new Map(mine.map(r => [r.id, r.seq]));
+    raw[kind] = mine.map(r => r.data);
+    if (kind !== "spending") raw[kind].sort((a, b) => pos(a) - pos(b));
   }
+  return { raw, seqs };
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbDone(tx) {
+  // Quota errors surface here: the transaction aborts with a QuotaExceededError.
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new DOMException("The write was aborted", "AbortError"));
+  });
 }
 
-function monthFromDateISO(dateISO) {
-  // dateISO: YYYY-MM-DD -> YYYY-MM
-  return String(dateISO || "").slice(0, 7);
+function openIndexedDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      // settings: { profileId, settings } for plain profiles, { profileId, envelope } for encrypted ones
+      db.createObjectStore("settings", { keyPath: "profileId" });
+      // records: { profileId, kind, id, seq, month (transactions only), data }
+      const records = db.createObjectStore("records", { keyPath: ["profileId", "kind", "id"] });
+      records.createIndex("byProfile", "profileId");
+      records.createIndex("byMonth", ["profileId", "month"]);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("the database is held open by an older version of this app in another tab"));
+  });
 }
 
-/* ------------------------------ State ------------------------------ */
+function profileRecordRange(profileId) {
+  // Every [profileId, kind, id] key sorts between [profileId] and [profileId, []].
+  return IDBKeyRange.bound([profileId], [profileId, []]);
+}
 
-function defaultState() {
+function indexedDBBackend(db) {
   return {
-    version: APP_VERSION,
-    ledgerMonth: currentMonthISO(),
-    income: {
-      frequency: "biweekly",
-      grossPerPaycheck: 0,
-      taxRatePct: 20,
-      otherDeductionsPerPaycheck: 0,
-      otherMonthlyIncome: 0
+    name: "IndexedDB",
+    async read(profileId) {
+      const tx = db.transaction(["settings", "records"], "readonly");
+      const [doc, rows] = await Promise.all([
+        idbRequest(tx.objectStore("settings").get(profileId)),
+        idbRequest(tx.objectStore("records").index("byProfile").getAll(profileId))
+      ]);
+      if (!doc) return null;
+      return doc.envelope ? { envelope: doc.envelope } : joinStoredState(doc.settings, rows);
+    },
+    async readLedgerMonth(profileId) {
+      // The settings document plus only the transactions of its ledger month, found through the month index.
+      // Resolves to { raw, seqs } like read(), with empty expenses and debts; null for encrypted profiles.
+      const doc = await idbRequest(db.transaction("settings", "readonly").objectStore("settings").get(profileId));
+      if (!doc || doc.envelope) return null;
+      const month = doc.settings.ledgerMonth || currentMonthISO();
+      const byMonth = db.transaction("records", "readonly").objectStore("records").index("byMonth");
+      return joinStoredState(doc.settings, await idbRequest(byMonth.getAll([profileId, month])));
+    },
+    async writeState(profileId, s, tracked) {
+      // Only records whose object changed are written; the settings document only when its JSON changed.
+      const { puts, deletes } = diffStoredRecords(s, tracked);
+      const settings = storedSettings(s);
+      const settingsJSON = JSON.stringify(settings);
+      if (!puts.length && !deletes.length && settingsJSON === tracked.settingsJSON) return;
+
+      const tx = db.transaction(["settings", "records"], "readwrite");
+      const records = tx.objectStore("records");
+      for (const { kind, rec, seq } of puts) {
+        const row = { profileId, kind, id: rec.id, seq, data: rec };
+        if (kind === "spending") row.month = monthFromDateISO(rec.date);
+        records.put(row);
+      }
+      for (const { kind, id } of deletes) records.delete([profileId, kind, id]);
+      if (settingsJSON !== tracked.settingsJSON) tx.objectStore("settings").put({ profileId, settings });
+      await idbDone(tx);
+
+      for (const { kind, rec, seq } of puts) tracked[kind].set(rec.id, { ref: rec, seq });
+      for (const { kind, id } of deletes) tracked[kind].delete(id);
+      tracked.settingsJSON = settingsJSON;
     },
-    expenses: [], // planned monthly budget items
-    spending: [], // ledger transactions
-    debts: [],
-    payoff: {
-      strategy: "avalanche",
-      extraPayment: 0
+    async writeEnvelope(profileId, envelope) {
+      // Replaces any plain records, so no unencrypted copy is left behind when the lock is turned on.
+      const tx = db.transaction(["settings", "records"], "readwrite");
+      tx.objectStore("records").delete(profileRecordRange(profileId));
+      tx.objectStore("settings").put({ profileId, envelope });
+      await idbDone(tx);
+    },
+    async remove(profileId) {
+      const tx = db.transaction(["settings", "records"], "readwrite");
+      tx.objectStore("records").delete(profileRecordRange(profileId));
+      tx.objectStore("settings").delete(profileId);
+      await idbDone(tx);
+      localStorage.removeItem(profileStorageKey(profileId));
     }
   };
 }
 
-let state = defaultState();
+async function openStorage() {
+  // Falls back to localStorage (whole-state writes, smaller quota) where IndexedDB is missing or blocked.
+  try {
+    if (typeof indexedDB === "undefined") throw new Error("IndexedDB is not supported");
+    storage = indexedDBBackend(await openIndexedDB());
+  } catch {
+    storage = localStorageBackend;
+  }
+}
 
-/* ------------------------------ Persistence ------------------------------ */
+/* ------------------------------ Statement Parsing ------------------------------ */
 
-function safeParseJSON(s) {
-  try { return JSON.parse(s); } catch { return null; }
+function detectDelimiter(text) {
+  const firstLine = String(text).split(/\r?\n/, 1)[0] || "";
+  const counts = [",", ";", "\t"].map(d => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ",";
+}
+
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+  // RFC 4180-ish: quoted fields, doubled quotes, CRLF/LF, delimiters inside quotes.
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const src = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) { row.push(field); rows.push(row); }
+
+  return rows.filter(r => r.some(c => c.trim() !== ""));
 }
 
-function migrateState(raw) {
-  // Future-proofing: accept older shapes safely
-  if (!raw || typeof raw !== "object") return defaultState();
-  const s = defaultState();
+function parseStatementAmount(s) {
+  // Handles "$1,234.56", "(12.00)", "-12.00" and "12.00-" style values.
+  let str = String(s ?? "").trim();
+  if (!str) return NaN;
+  let negative = false;
+  if (/^\(.*\)$/.test(str)) { negative = true; str = str.slice(1, -1); }
+  if (/-$/.test(str)) { negative = true; str = str.slice(0, -1); }
+  if (/^-/.test(str)) { negative = true; str = str.slice(1); }
+  str = str.replace(/[^0-9.]/g, "");
+  if (!/^\d*\.?\d+$|^\d+\.$/.test(str)) return NaN;
+  const v = Number(str);
+  return negative ? -v : v;
+}
+
+function parseStatementDate(s, format = "auto") {
+  // Returns YYYY-MM-DD or null. OFX dates (YYYYMMDD[HHMMSS...]) are accepted in every format.
+  const str = String(s ?? "").trim();
+  let y, m, d;
+
+  const compact = str.match(/^(\d{4})(\d{2})(\d{2})/);
+  const parts = str.split(/[\/\-.\s]+/).filter(Boolean);
+
+  if (compact && !/[\/\-.]/.test(str.slice(0, 8))) {
+    [, y, m, d] = compact;
+  } else if (parts.length >= 3) {
+    let fmt = format;
+    if (fmt === "auto") fmt = parts[0].length === 4 ? "ymd" : (num(parts[0]) > 12 ? "dmy" : "mdy");
+    if (fmt === "ymd") [y, m, d] = parts;
+    else if (fmt === "dmy") [d, m, y] = parts;
+    else [m, d, y] = parts;
+    if (String(y).length === 2) y = `20${y}`;
+  } else {
+    return null;
+  }
+
+  const iso = `${String(y).padStart(4, "0")}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+  return isValidDateISO(iso) ? iso : null;
+}
 
-  // Copy known keys with fallbacks
-  s.ledgerMonth = typeof raw.ledgerMonth === "string" ? raw.ledgerMonth : s.ledgerMonth;
+function decodeOfxText(s) {
+  return String(s || "")
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'").replace(/&nbsp;/g, " ").replace(/&amp;/g, "&")
+    .trim();
+}
 
-  if (raw.income && typeof raw.income === "object") {
-    s.income.frequency = raw.income.frequency ?? s.income.frequency;
-    s.income.grossPerPaycheck = num(raw.income.grossPerPaycheck);
-    s.income.taxRatePct = clamp(num(raw.income.taxRatePct), 0, 60);
-    s.income.otherDeductionsPerPaycheck = num(raw.income.otherDeductionsPerPaycheck);
-    s.income.otherMonthlyIncome = num(raw.income.otherMonthlyIncome);
+function parseOfx(text) {
+  // OFX 1.x is SGML (leaf tags are usually unclosed); OFX 2.x/QFX is XML. Reading each
+  // leaf up to the next "<" handles both.
+  const out = [];
+  const blocks = String(text).match(/<STMTTRN>[\s\S]*?(<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi) || [];
+  for (const block of blocks) {
+    const tag = name => {
+      const m = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, "i"));
+      return m ? decodeOfxText(m[1]) : "";
+    };
+    const name = tag("NAME");
+    const memo = tag("MEMO");
+    out.push({
+      fitId: tag("FITID"),
+      rawDate: tag("DTPOSTED"),
+      description: name && memo && !name.includes(memo) ? `${name} – ${memo}` : (name || memo),
+      rawAmount: tag("TRNAMT")
+    });
   }
+  return out;
+}
+
+function guessImportProfile(headerRow) {
+  const headers = (headerRow || []).map(h => String(h).trim().toLowerCase());
+  const find = re => headers.findIndex(h => re.test(h));
+  const debitCol = find(/debit|withdrawal|money out/);
+  const creditCol = find(/credit|deposit|money in/);
+  const amountCol = find(/^amount|amount$/);
+  return normalizeImportProfile({
+    name: "",
+    hasHeader: true,
+    dateCol: Math.max(0, find(/date/)),
+    descCol: find(/desc|payee|merchant|name|memo|details/),
+    amountMode: amountCol < 0 && debitCol >= 0 ? "debit-credit" : "negative-out",
+    amountCol,
+    debitCol,
+    creditCol,
+    dateFormat: "auto"
+  });
+}
 
-  s.expenses = Array.isArray(raw.expenses) ? raw.expenses.map(e => ({
-    id: e.id || uid("exp"),
-    name: String(e.name || "").trim(),
-    category: CATEGORIES.includes(e.category) ? e.category : "Other",
-    amount: num(e.amount)
-  })).filter(e => e.name && e.amount > 0) : [];
+function csvRowsToStatementLines(rows, profile) {
+  const body = profile.hasHeader ? rows.slice(1) : rows;
+  const cell = (r, i) => (i >= 0 ? String(r[i] ?? "").trim() : "");
+
+  return body.map(r => {
+    let outflow;
+    if (profile.amountMode === "debit-credit") {
+      const debit = parseStatementAmount(cell(r, profile.debitCol));
+      const credit = parseStatementAmount(cell(r, profile.creditCol));
+      if (Number.isFinite(debit) && debit !== 0) outflow = Math.abs(debit);
+      else if (Number.isFinite(credit) && credit !== 0) outflow = -Math.abs(credit);
+      else outflow = NaN;
+    } else {
+      const v = parseStatementAmount(cell(r, profile.amountCol));
+      outflow = profile.amountMode === "positive-out" ? v : -v;
+    }
+    return {
+      rawDate: cell(r, profile.dateCol),
+      date: parseStatementDate(cell(r, profile.dateCol), profile.dateFormat),
+      description: cell(r, profile.descCol),
+      outflow
+    };
+  });
+}
+
+function ofxToStatementLines(entries) {
+  return entries.map(e => ({
+    rawDate: e.rawDate,
+    date: parseStatementDate(e.rawDate),
+    description: e.description,
+    outflow: -parseStatementAmount(e.rawAmount)
+  }));
+}
+
+function spendingDedupeKey(t) {
+  return `${t.date}|${t.type || "expense"}|${num(t.amount).toFixed(2)}|${String(t.description || "").trim().toLowerCase()}`;
+}
+
+function buildImportPreview(lines, existingSpending, defaultCategory = "Other", rules = []) {
+  // Every line goes through normalizeSpending()/spendingError(), the same path migrateState() uses, then the
+  // categorization rules. Duplicates are checked before and after, since a rule may have renamed the earlier copy.
+  const existing = new Set(existingSpending.map(spendingDedupeKey));
+
+  // Deposits/credits come in as income; the preview lets them be retyped (e.g. as a refund or transfer).
+  return lines.map((line, index) => {
+    const raw = normalizeSpending({
+      date: line.date || line.rawDate || "(missing)",
+      type: line.outflow < 0 ? "income" : "expense",
+      category: defaultCategory,
+      description: line.description,
+      amount: line.outflow
+    });
+    const { txn, rule } = applyRules(rules, raw);
+
+    const error = Number.isNaN(line.outflow) ? "Invalid amount" : spendingError(txn, regionalFormat());
+
+    const duplicate = !error && (existing.has(spendingDedupeKey(raw)) || existing.has(spendingDedupeKey(txn)));
+    return { index, txn, rule, error, duplicate, include: !error && !duplicate };
+  });
+}
 
-  s.spending = Array.isArray(raw.spending) ? raw.spending.map(t => ({
-    id: t.id || uid("txn"),
-    date: (String(t.date || "").slice(0, 10) || todayISO()),
-    category: CATEGORIES.includes(t.category) ? t.category : "Other",
-    description: String(t.description || "").trim(),
-    amount: num(t.amount)
-  })).filter(t => t.amount > 0) : [];
+/* ------------------------------ Backup & Restore ------------------------------ */
+
+const BACKUP_FORMAT = "checks-balances-backup";
+
+// Shape of a backup file. Objects nest, [item] is a list, leaves are type names ("string|null" = either).
+// Keys ending in "?" are optional; migrateState() fills in defaults and normalizes enum values afterwards.
+const BACKUP_SCHEMA = {
+  format: "string",
+  schemaVersion: "number",
+  "exportedAt?": "string",
+  "profileName?": "string",
+  state: {
+    "version?": "number",
+    "ledgerMonth?": "month",
+    "income?": {
+      "taxMode?": "string",
+      "filingStatus?": "string",
+      "taxYear?": "number",
+      "stateTaxPct?": "number",
+      "sources?": [{
+        "id?": "string",
+        "name?": "string",
+        "frequency?": "string",
+        "grossPerPaycheck?": "number",
+        "withholdingPct?": "number",
+        "pretax401kPerPaycheck?": "number",
+        "hsaPerPaycheck?": "number",
+        "otherDeductionsPerPaycheck?": "number",
+        "taxable?": "boolean",
+        "firstPayday?": "string"
+      }]
+    },
+    "categories?": [{
+      "id?": "string",
+      name: "string",
+      "group?": "string",
+      "archived?": "boolean",
+      "rollover?": "string",
+      "rolloverCap?": "number"
+    }],
+    "expenses?": [{ "id?": "string", name: "string", "category?": "string", amount: "number", "dueDay?": "number|null" }],
+    "spending?": [{
+      "id?": "string",
+      date: "date",
+      "type?": "string",
+      "category?": "string",
+      "description?": "string",
+      amount: "number",
+      "recurringId?": "string|null",
+      "splits?": [{ "id?": "string", "category?": "string", amount: "number", "memo?": "string" }],
+      "fx?": "object|null",
+      "goalId?": "string|null"
+    }],
+    "debts?": [{
+      "id?": "string",
+      name: "string",
+      "currency?": "string",
+      balance: "number",
+      "aprPct?": "number",
+      "minMode?": "string",
+      "minPct?": "number",
+      "minPayment?": "number",
+      "promoAprPct?": "number",
+      "promoEndDate?": "string",
+      "dueDay?": "number|null",
+      "lumpSums?": [{ "id?": "string", month: "month", amount: "number", "note?": "string" }]
+    }],
+    "recurring?": [{
+      "id?": "string",
+      description: "string",
+      "category?": "string",
+      amount: "number",
+      "frequency?": "string",
+      "dayOfMonth?": "number",
+      startDate: "date",
+      "endDate?": "string",
+      "mode?": "string",
+      "postedThrough?": "string"
+    }],
+    "importProfiles?": ["object"],
+    "payoff?": { "strategy?": "string", "extraPayment?": "number" },
+    "trendMonths?": "number",
+    "budget?": { "mode?": "string", "envelopeStartMonth?": "string" },
+    "rules?": [{
+      "id?": "string",
+      "match?": "string",
+      "pattern?": "string",
+      "minAmount?": "number|null",
+      "maxAmount?": "number|null",
+      "dayFrom?": "number|null",
+      "dayTo?": "number|null",
+      "category?": "string",
+      "rename?": "string"
+    }],
+    "cashFlow?": { "startingBalance?": "number", "floor?": "number", "days?": "number" },
+    "regional?": { "currency?": "string", "locale?": "string" },
+    "fxRates?": [{ "id?": "string", currency: "string", effectiveDate: "date", rate: "number" }],
+    "goals?": [{
+      "id?": "string",
+      name: "string",
+      "category?": "string",
+      targetAmount: "number",
+      targetDate: "date",
+      "startingBalance?": "number",
+      "priority?": "string"
+    }]
+  }
+};
+
+// Record collections compared and merged on restore; categories match by name, exchange rates by currency and day,
+// everything else by id.
+const RESTORE_COLLECTIONS = [
+  { key: "expenses", label: "Planned expenses", get: s => s.expenses, match: r => r.id },
+  { key: "spending", label: "Transactions", get: s => s.spending, match: r => r.id },
+  { key: "debts", label: "Debts", get: s => s.debts, match: r => r.id },
+  { key: "recurring", label: "Recurring", get: s => s.recurring, match: r => r.id },
+  { key: "goals", label: "Savings goals", get: s => s.goals, match: r => r.id },
+  { key: "rules", label: "Categorization rules", get: s => s.rules, match: r => r.id },
+  // By name: every browser starts with its own "Paycheck" source, so ids would append a second one on merge.
+  { key: "sources", label: "Income sources", get: s => s.income.sources, match: r => r.name.trim().toLowerCase() },
+  { key: "categories", label: "Categories", get: s => s.categories, match: r => r.name.toLowerCase() },
+  { key: "fxRates", label: "Exchange rates", get: s => s.fxRates, match: r => `${r.currency}|${r.effectiveDate}` }
+];
 
-  s.debts = Array.isArray(raw.debts) ? raw.debts.map(d => ({
-    id: d.id || uid("debt"),
-    name: String(d.name || "").trim(),
-    balance: num(d.balance),
-    aprPct: Math.max(0, num(d.aprPct)),
-    minPayment: Math.max(0, num(d.minPayment))
-  })).filter(d => d.name && d.balance > 0) : [];
+function schemaTypeMatches(value, type) {
+  switch (type) {
+    case "string": return typeof value === "string";
+    case "number": return typeof value === "number" && Number.isFinite(value);
+    case "boolean": return typeof value === "boolean";
+    case "null": return value === null;
+    case "date": return isValidDateISO(value);
+    case "month": return typeof value === "string" && /^\d{4}-\d{2}$/.test(value);
+    case "object": return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+    default: return false;
+  }
+}
 
-  if (raw.payoff && typeof raw.payoff === "object") {
-    s.payoff.strategy = raw.payoff.strategy === "snowball" ? "snowball" : "avalanche";
-    s.payoff.extraPayment = Math.max(0, num(raw.payoff.extraPayment));
+function validateSchema(value, schema, path = "backup", errors = []) {
+  // Collects "path: problem" messages; stops descending into a node once its own type is wrong.
+  if (Array.isArray(schema)) {
+    if (!Array.isArray(value)) errors.push(`${path}: expected a list`);
+    else value.forEach((v, i) => validateSchema(v, schema[0], `${path}[${i}]`, errors));
+  } else if (typeof schema === "object") {
+    if (!schemaTypeMatches(value, "object")) {
+      errors.push(`${path}: expected an object`);
+      return errors;
+    }
+    for (const [rawKey, sub] of Object.entries(schema)) {
+      const optional = rawKey.endsWith("?");
+      const key = optional ? rawKey.slice(0, -1) : rawKey;
+      if (value[key] === undefined) {
+        if (!optional) errors.push(`${path}.${key}: missing`);
+        continue;
+      }
+      validateSchema(value[key], sub, `${path}.${key}`, errors);
+    }
+  } else if (!schema.split("|").some(t => schemaTypeMatches(value, t))) {
+    errors.push(`${path}: expected ${schema.split("|").join(" or ")}`);
   }
+  return errors;
+}
 
-  return s;
+function buildBackup(s, profileName = "") {
+  return { format: BACKUP_FORMAT, schemaVersion: APP_VERSION, exportedAt: new Date().toISOString(), profileName, state: s };
 }
 
-function load() {
-  const raw = safeParseJSON(localStorage.getItem(LS_KEY) || "");
-  state = migrateState(raw);
+function parseBackup(text) {
+  // Returns { errors } or { errors: [], exportedAt, profileName, state } with state already run through migrateState().
+  const raw = safeParseJSON(text);
+  if (!raw || typeof raw !== "object") return { errors: ["The file is not valid JSON."] };
+  if (raw.format !== BACKUP_FORMAT) return { errors: ["The file is not a Checks & Balances backup."] };
+
+  const errors = validateSchema(raw, BACKUP_SCHEMA);
+  if (num(raw.schemaVersion) > APP_VERSION) {
+    errors.unshift(`The backup was made by a newer version (schema ${raw.schemaVersion}); update the app before restoring it.`);
+  }
+  if (errors.length) return { errors };
+  return { errors: [], exportedAt: raw.exportedAt || "", profileName: raw.profileName || "", state: migrateState(raw.state) };
 }
 
-const saveThrottled = (() => {
-  let timeout = null;
-  return () => {
-    if (timeout) return;
-    timeout = setTimeout(() => {
-      timeout = null;
-      localStorage.setItem(LS_KEY, JSON.stringify(state));
-    }, 250);
-  };
-})();
+function restoreDiff(current, incoming) {
+  // Per collection: records in the file, how many are new / differ / match, and how many exist only here.
+  return RESTORE_COLLECTIONS.map(c => {
+    const mine = new Map(c.get(current).map(r => [c.match(r), r]));
+    const theirs = c.get(incoming);
+    const theirKeys = new Set(theirs.map(c.match));
+    let added = 0;
+    let changed = 0;
+    for (const r of theirs) {
+      const existing = mine.get(c.match(r));
+      if (!existing) added++;
+      else if (JSON.stringify(existing) !== JSON.stringify(r)) changed++;
+    }
+    return {
+      key: c.key,
+      label: c.label,
+      incoming: theirs.length,
+      added,
+      changed,
+      unchanged: theirs.length - added - changed,
+      onlyHere: [...mine.keys()].filter(k => !theirKeys.has(k)).length
+    };
+  });
+}
+
+function mergeStates(current, incoming) {
+  // Records from the file win on a match and new ones are appended; settings and everything else stay as-is.
+  const out = JSON.parse(JSON.stringify(current));
+  for (const c of RESTORE_COLLECTIONS) {
+    const list = c.get(out);
+    const index = new Map(list.map((x, i) => [c.match(x), i]));
+    for (const r of c.get(incoming)) {
+      const key = c.match(r);
+      if (index.has(key)) list[index.get(key)] = r;
+      else index.set(key, list.push(r) - 1);
+    }
+  }
+  for (const p of incoming.importProfiles) {
+    if (!out.importProfiles.some(x => x.id === p.id)) out.importProfiles.push(p);
+  }
+  return migrateState(out);
+}
 
-/* ------------------------------ Core Calculations ------------------------------ */
+/* ------------------------------ Workbook Import ------------------------------ */
+
+// Tables the Excel importer can load. A sheet named like the export is read directly; any other sheet is
+// matched by its header row. Aliases are compared after lowercasing and dropping spaces and punctuation.
+const WORKBOOK_TABLES = {
+  expenses: {
+    label: "Planned expenses",
+    sheet: "PlannedExpenses",
+    required: ["name", "amount"],
+    columns: {
+      name: ["name", "expense", "item", "bill"],
+      category: ["category"],
+      amount: ["amount", "planned", "plannedamount", "budget", "monthly"],
+      dueDay: ["dueday", "due", "duedate"]
+    }
+  },
+  spending: {
+    label: "Transactions",
+    sheet: "SpendingAll",
+    required: ["date", "amount"],
+    columns: {
+      date: ["date", "transactiondate", "posted", "posteddate"],
+      type: ["type", "transactiontype", "kind"],
+      category: ["category"],
+      description: ["description", "memo", "payee", "merchant", "details"],
+      amount: ["amount", "spent"],
+      currency: ["currency"],
+      originalAmount: ["originalamount", "foreignamount"],
+      fxRate: ["rate", "exchangerate", "fxrate"]
+    }
+  },
+  debts: {
+    label: "Debts",
+    sheet: "Debts",
+    required: ["name", "balance"],
+    columns: {
+      name: ["name", "debt", "account", "creditor"],
+      currency: ["currency"],
+      balance: ["balance", "currentbalance", "owed", "amountowed"],
+      aprPct: ["apr", "aprpct", "interestrate", "rate"],
+      minPayment: ["minpayment", "minimumpayment", "minimum", "minpaymentfloor", "min"],
+      minMode: ["minrule", "minimumrule"],
+      minPct: ["minofbalance", "minpct"],
+      promoAprPct: ["promoapr", "promorate"],
+      promoEndDate: ["promoends", "promoend", "promoenddate"],
+      dueDay: ["dueday", "due", "duedate"]
+    }
+  },
+  fxRates: {
+    label: "Exchange rates",
+    sheet: "ExchangeRates",
+    required: ["currency", "effectiveDate", "rate"],
+    columns: {
+      currency: ["currency"],
+      effectiveDate: ["effectivefrom", "effectivedate", "effective", "date"],
+      rate: ["rate", "exchangerate"]
+    }
+  },
+  sources: {
+    label: "Income sources",
+    sheet: "IncomeSources",
+    required: ["name", "grossPerPaycheck"],
+    columns: {
+      name: ["name", "source", "incomesource"],
+      frequency: ["frequency", "payfrequency"],
+      firstPayday: ["firstpayday", "payday", "nextpayday"],
+      grossPerPaycheck: ["grossperpaycheck", "grosspay", "gross", "grossamount"],
+      withholdingPct: ["withholding", "withholdingpct"],
+      pretax401kPerPaycheck: ["401kperpaycheck", "401k"],
+      hsaPerPaycheck: ["hsaperpaycheck", "hsa"],
+      otherDeductionsPerPaycheck: ["otherdeductionsperpaycheck", "otherdeductions"],
+      taxable: ["taxable"]
+    }
+  }
+};
+
+// Field/Value rows of the Income sheet that map back onto state.income settings.
+const WORKBOOK_INCOME_FIELDS = {
+  taxmode: "taxMode",
+  filingstatus: "filingStatus",
+  taxyear: "taxYear",
+  statetaxrate: "stateTaxPct"
+};
+
+function normalizeHeader(h) {
+  return String(h ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
 
-function calcIncomeMonthly(inc) {
-  // Step-by-step:
-  // 1) monthlyGross = grossPerPaycheck * paychecksPerMonth
-  // 2) taxes = monthlyGross * (taxRatePct / 100)
-  // 3) deductions = otherDeductionsPerPaycheck * paychecksPerMonth
-  // 4) monthlyNet = monthlyGross - taxes - deductions + otherMonthlyIncome
-  const ppm = paymentsPerMonth(inc.frequency);
-  const monthlyGross = num(inc.grossPerPaycheck) * ppm;
-  const taxes = monthlyGross * (num(inc.taxRatePct) / 100);
-  const deductions = num(inc.otherDeductionsPerPaycheck) * ppm;
-  const monthlyNet = monthlyGross - taxes - deductions + num(inc.otherMonthlyIncome);
-  return { ppm, monthlyGross, taxes, deductions, monthlyNet };
+function lookupOption(options, value) {
+  // Accepts an option key or its label ("biweekly", "Bi-weekly (26/yr)", "Bi-weekly").
+  const v = normalizeHeader(value);
+  if (!v) return "";
+  return Object.keys(options).find(k => normalizeHeader(k) === v || normalizeHeader(options[k]).startsWith(v)) || "";
 }
 
-function sumPlannedExpenses(expenses) {
-  return expenses.reduce((a, e) => a + num(e.amount), 0);
+function workbookCellText(v) {
+  return String(v ?? "").trim();
 }
 
-function spendingForMonth(spending, ledgerMonth) {
-  return spending.filter(t => monthFromDateISO(t.date) === ledgerMonth);
+function workbookCellNumber(v) {
+  return typeof v === "number" ? v : parseStatementAmount(v);
 }
 
-function sumSpending(transactions) {
-  return transactions.reduce((a, t) => a + num(t.amount), 0);
+function workbookCellDate(v) {
+  // Spreadsheet apps turn typed dates into serial day numbers (days since 1899-12-30).
+  if (typeof v === "number" && v > 0) return new Date(Date.UTC(1899, 11, 30) + Math.round(v) * 86400000).toISOString().slice(0, 10);
+  return parseStatementDate(v) || "";
 }
 
-function groupByCategory(items, getAmount) {
-  const map = new Map();
-  for (const it of items) {
-    const cat = it.category || "Other";
-    map.set(cat, (map.get(cat) || 0) + getAmount(it));
+function mapWorkbookColumns(header, columns) {
+  // Exact alias matches win; then a header containing a longer alias ("Min Payment / Floor" → minPayment).
+  const keys = header.map(normalizeHeader);
+  const used = new Set();
+  const map = {};
+  for (const exact of [true, false]) {
+    for (const [field, aliases] of Object.entries(columns)) {
+      if (field in map) continue;
+      const i = keys.findIndex((k, idx) => k && !used.has(idx) &&
+        aliases.some(a => (exact ? k === a : a.length >= 4 && k.includes(a))));
+      if (i >= 0) {
+        map[field] = i;
+        used.add(i);
+      }
+    }
   }
   return map;
 }
 
-function budgetVsActual(expenses, spendingMonthTxns) {
-  const planned = groupByCategory(expenses, e => num(e.amount));
-  const actual = groupByCategory(spendingMonthTxns, t => num(t.amount));
-
-  const rows = CATEGORIES.map(cat => {
-    const p = planned.get(cat) || 0;
-    const a = actual.get(cat) || 0;
-    const remaining = p - a;
-    const pctUsed = p <= 0 ? (a > 0 ? 100 : 0) : (a / p) * 100;
-    let status = "OK";
-    if (p > 0 && a > p) status = "Over";
-    else if (p > 0 && pctUsed >= 90) status = "Near";
-    else if (p === 0 && a > 0) status = "Over"; // spending without a plan
-    return { category: cat, planned: p, actual: a, remaining, pctUsed, status };
-  }).filter(r => r.planned > 0 || r.actual > 0);
-
-  // Alerts: include only “Over” or “Near”
-  const alerts = rows
-    .filter(r => r.status === "Over" || r.status === "Near")
-    .sort((a, b) => (b.actual - b.planned) - (a.actual - a.planned));
-
-  return { rows, alerts };
-}
-
-/* ------------------------------ Debt Payoff Engine ------------------------------ */
-
-function buildPayoffPlan(debtsInput, strategy, extraPayment) {
-  const debts = debtsInput
-    .map(d => ({
-      id: d.id,
-      name: String(d.name || "").trim() || "Debt",
-      balance: Math.max(0, num(d.balance)),
-      aprPct: Math.max(0, num(d.aprPct)),
-      minPayment: Math.max(0, num(d.minPayment))
-    }))
-    .filter(d => d.balance > 0);
-
-  if (debts.length === 0) return { months: 0, payoffLabel: "—", schedule: [] };
-
-  const baseExtra = Math.max(0, num(extraPayment));
-  const maxMonths = 600;
-
-  const sortActive = () => {
-    const active = debts.filter(d => d.balance > 0);
-    if (strategy === "snowball") active.sort((a, b) => a.balance - b.balance || b.aprPct - a.aprPct);
-    else active.sort((a, b) => b.aprPct - a.aprPct || a.balance - b.balance);
-    return active;
+function classifyWorkbookSheet(header) {
+  // The table whose required columns are all present and that maps the most columns.
+  let best = null;
+  let bestCount = 0;
+  for (const [key, t] of Object.entries(WORKBOOK_TABLES)) {
+    const map = mapWorkbookColumns(header, t.columns);
+    const count = Object.keys(map).length;
+    if (t.required.every(f => f in map) && count > bestCount) {
+      best = key;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+function workbookRowToRecord(table, get, categories) {
+  // Returns { record } or { error }; record ids are assigned by the caller.
+  const category = () => {
+    const name = workbookCellText(get("category")) || FALLBACK_CATEGORY;
+    return findCategory(categories, name)?.name || name;
   };
 
-  const schedule = [];
-  let consecutiveNoProgress = 0;
-
-  for (let m = 1; m <= maxMonths; m++) {
-    const active = sortActive();
-    if (active.length === 0) return { months: m - 1, payoffLabel: `${m - 1} month(s)`, schedule };
-
-    // 1) apply interest
-    let interestTotal = 0;
-    for (const d of active) {
-      const monthlyRate = (d.aprPct / 100) / 12;
-      const interest = d.balance * monthlyRate;
-      d.balance += interest;
-      interestTotal += interest;
-    }
-
-    // 2) pay minimums
-    let paidTotal = 0;
-    for (const d of active) {
-      const pay = Math.min(d.minPayment, d.balance);
-      d.balance -= pay;
-      paidTotal += pay;
-    }
-
-    // 3) apply extra to target(s) in strategy order
-    let remainingExtra = baseExtra;
-
-    const cascade = sortActive(); // re-sort after min payments
-    for (const d of cascade) {
-      if (remainingExtra <= 0) break;
-      if (d.balance <= 0) continue;
-      const pay = Math.min(remainingExtra, d.balance);
-      d.balance -= pay;
-      remainingExtra -= pay;
-      paidTotal += pay;
-    }
-
-    const principalTotal = paidTotal - interestTotal;
-    const totalBalanceRemaining = debts.reduce((a, d) => a + d.balance, 0);
-    const targetName = sortActive()[0]?.name || active[0].name;
-
-    schedule.push({
-      month: m,
-      target: targetName,
-      paid: paidTotal,
-      interest: interestTotal,
-      principal: principalTotal,
-      totalBalanceRemaining
+  if (table === "expenses") {
+    const name = workbookCellText(get("name"));
+    const amount = workbookCellNumber(get("amount"));
+    const error = firstError(expenseErrors({ name, amount }));
+    if (error) return { error };
+    return { record: { id: uid("exp"), name, category: category(), amount, dueDay: normalizeDayOfMonth(get("dueDay")) } };
+  }
+
+  if (table === "spending") {
+    const date = workbookCellDate(get("date"));
+    if (!date) return { error: "Invalid date" };
+    // A blank or unknown type leaves normalizeSpending() to decide (negative amounts become refunds).
+    // Another currency needs the original amount plus a rate (or the converted Amount to derive it from).
+    const amount = workbookCellNumber(get("amount"));
+    const currency = workbookCellText(get("currency")).toUpperCase();
+    const original = workbookCellNumber(get("originalAmount"));
+    const rate = workbookCellNumber(get("fxRate")) || (original ? Math.abs(amount / original) : NaN);
+    const txn = normalizeSpending({
+      date,
+      type: lookupOption(TXN_TYPES, get("type")),
+      category: category(),
+      description: workbookCellText(get("description")),
+      amount,
+      fx: isCurrencyCode(currency) && Number.isFinite(original) && original !== 0 ? { currency, amount: original, rate } : null
     });
+    const error = spendingError(txn, regionalFormat());
+    return error ? { error } : { record: txn };
+  }
+
+  if (table === "debts") {
+    const name = workbookCellText(get("name"));
+    const balance = workbookCellNumber(get("balance"));
+    const error = firstError(debtErrors({ name, balance }));
+    if (error) return { error };
+    return {
+      record: normalizeDebt({
+        name,
+        currency: workbookCellText(get("currency")).toUpperCase(),
+        balance,
+        aprPct: workbookCellNumber(get("aprPct")) || 0,
+        minPayment: workbookCellNumber(get("minPayment")) || 0,
+        minMode: normalizeHeader(get("minMode")) === "percent" ? "percent" : "fixed",
+        minPct: workbookCellNumber(get("minPct")) || 0,
+        promoAprPct: workbookCellNumber(get("promoAprPct")) || 0,
+        promoEndDate: workbookCellDate(get("promoEndDate")),
+        dueDay: get("dueDay")
+      })
+    };
+  }
+
+  if (table === "fxRates") {
+    const rate = normalizeFxRate({ currency: workbookCellText(get("currency")), effectiveDate: workbookCellDate(get("effectiveDate")), rate: workbookCellNumber(get("rate")) });
+    if (!isCurrencyCode(rate.currency)) return { error: `Unknown currency "${workbookCellText(get("currency"))}"` };
+    if (!rate.effectiveDate) return { error: "Invalid effective date" };
+    if (!(rate.rate > 0)) return { error: "Rate must be greater than 0" };
+    return { record: rate };
+  }
+
+  const name = workbookCellText(get("name"));
+  const gross = workbookCellNumber(get("grossPerPaycheck"));
+  const frequency = get("frequency") === undefined ? "biweekly" : lookupOption(PAY_FREQUENCIES, get("frequency"));
+  if (!name) return { error: "Name is required" };
+  if (!(gross >= 0)) return { error: "Gross per paycheck must be a number" };
+  if (!frequency) return { error: `Unknown pay frequency "${workbookCellText(get("frequency"))}"` };
+  const optional = (field, fallback) => (get(field) === undefined || get(field) === "" ? fallback : workbookCellNumber(get(field)));
+  return {
+    record: normalizeIncomeSource({
+      name,
+      frequency,
+      firstPayday: workbookCellDate(get("firstPayday")),
+      grossPerPaycheck: gross,
+      withholdingPct: optional("withholdingPct", 20),
+      pretax401kPerPaycheck: optional("pretax401kPerPaycheck", 0),
+      hsaPerPaycheck: optional("hsaPerPaycheck", 0),
+      otherDeductionsPerPaycheck: optional("otherDeductionsPerPaycheck", 0),
+      taxable: !["no", "false", "0", "n"].includes(normalizeHeader(get("taxable")))
+    })
+  };
+}
+
+const WORKBOOK_MATCH_KEYS = {
+  // Natural keys used to keep ids stable for rows that correspond to existing records (the export has no ids).
+  expenses: r => `${r.name}|${r.category}`.toLowerCase(),
+  spending: spendingDedupeKey,
+  debts: r => r.name.toLowerCase(),
+  fxRates: r => `${r.currency}|${r.effectiveDate}`,
+  sources: r => r.name.toLowerCase()
+};
+
+function workbookToState(sheets, current) {
+  // sheets: [{ name, rows }] with rows as arrays of cell values. The header is the first of the top rows that
+  // matches a table (so a title row above it is fine), otherwise the first non-blank row.
+  // Returns { incoming, errors, notes }: incoming is current with every recognized table replaced, or null.
+  const errors = [];
+  const notes = [];
+  const incoming = JSON.parse(JSON.stringify(current));
+  const claimed = {};
+
+  const withHeader = sheets.map(sh => {
+    const top = sh.rows.slice(0, 10).findIndex(r => classifyWorkbookSheet(r));
+    const start = top >= 0 ? top : sh.rows.findIndex(r => r.some(c => workbookCellText(c)));
+    return { ...sh, start, header: start >= 0 ? sh.rows[start] : [] };
+  });
+
+  // Sheets named like the export first, then header matches for tables not claimed yet.
+  for (const sh of withHeader) {
+    const table = Object.keys(WORKBOOK_TABLES).find(k => WORKBOOK_TABLES[k].sheet.toLowerCase() === sh.name.toLowerCase());
+    if (table && sh.start >= 0) claimed[table] = sh;
+  }
+  for (const sh of withHeader) {
+    if (sh.start < 0 || Object.values(claimed).includes(sh) || sh.name.toLowerCase() === "income") continue;
+    const table = classifyWorkbookSheet(sh.header);
+    if (table && !claimed[table]) claimed[table] = sh;
+  }
+
+  for (const [table, sh] of Object.entries(claimed)) {
+    const t = WORKBOOK_TABLES[table];
+    const map = mapWorkbookColumns(sh.header, t.columns);
+    const missing = t.required.filter(f => !(f in map));
+    if (missing.length) {
+      errors.push(`${sh.name}: missing column(s) ${missing.join(", ")}; sheet skipped.`);
+      continue;
+    }
 
-    // Feasibility detection: if principal is not positive for 3 consecutive months, it likely will not pay down.
-    if (principalTotal <= 0.01) consecutiveNoProgress++;
-    else consecutiveNoProgress = 0;
+    const list = table === "sources" ? current.income.sources : current[table];
+    const existing = new Map();
+    for (const r of list) {
+      const k = WORKBOOK_MATCH_KEYS[table](r);
+      if (!existing.has(k)) existing.set(k, r);
+    }
+
+    const records = [];
+    for (let i = sh.start + 1; i < sh.rows.length; i++) {
+      const row = sh.rows[i];
+      if (!row.some(c => workbookCellText(c))) continue;
+      if (normalizeHeader(row[0]) === "total") continue; // totals row written by the export
+
+      const get = (field) => (field in map ? row[map[field]] : undefined);
+      const { record, error } = workbookRowToRecord(table, get, current.categories);
+      if (error) {
+        errors.push(`${sh.name} row ${i + 1}: ${error}`);
+        continue;
+      }
+      const key = WORKBOOK_MATCH_KEYS[table](record);
+      const match = existing.get(key);
+      existing.delete(key);
+      // A matching record keeps its id and every field the sheet has no column for (lump sums, recurring links…).
+      // Currency columns of a transaction all land in its fx.
+      const fields = Object.keys(map).map(f => (f in record ? f : "fx"));
+      records.push(match ? { ...match, ...Object.fromEntries(fields.map(f => [f, record[f]])) } : record);
+    }
 
-    if (consecutiveNoProgress >= 3) {
-      return { months: null, payoffLabel: "Not feasible (payments not reducing principal)", schedule };
+    if (table === "sources") {
+      if (records.length) incoming.income.sources = records;
+      else errors.push(`${sh.name}: no valid income sources; existing sources kept.`);
+    } else {
+      incoming[table] = records;
     }
+    notes.push(`${t.label} from "${sh.name}" (${records.length} row${records.length === 1 ? "" : "s"})`);
   }
 
-  return { months: null, payoffLabel: "Over limit / Not feasible", schedule };
+  const incomeSheet = withHeader.find(sh => sh.name.toLowerCase() === "income" && sh.start >= 0);
+  if (incomeSheet) {
+    for (const row of incomeSheet.rows.slice(incomeSheet.start + 1)) {
+      const field = WORKBOOK_INCOME_FIELDS[normalizeHeader(row[0])];
+      if (field === "taxMode") incoming.income.taxMode = lookupOption({ simple: "Simple", progressive: "Progressive" }, row[1]) || incoming.income.taxMode;
+      else if (field === "filingStatus") incoming.income.filingStatus = lookupOption(FILING_STATUSES, row[1]) || incoming.income.filingStatus;
+      else if (field === "taxYear") incoming.income.taxYear = workbookCellNumber(row[1]) || incoming.income.taxYear;
+      else if (field === "stateTaxPct") incoming.income.stateTaxPct = workbookCellNumber(row[1]) || 0;
+    }
+    notes.push(`Income settings from "${incomeSheet.name}"`);
+  }
+
+  if (notes.length === 0) {
+    return { incoming: null, errors: ["No sheet in this workbook looks like planned expenses, transactions, debts, exchange rates or income."], notes };
+  }
+  return { incoming: migrateState(incoming), errors, notes };
 }
 
 /* ------------------------------ DOM Helpers ------------------------------ */
 
+// Formatting follows the open profile's base currency and locale (see formatters() in core.js).
+function regionalFormat() {
+  return formatters(state.regional);
+}
+
+function money(n, currency) {
+  return regionalFormat().money(n, currency);
+}
+
+function compactMoney(n) {
+  return regionalFormat().compactMoney(n);
+}
+
+function formatDate(dateISO) {
+  return regionalFormat().formatDate(dateISO);
+}
+
+function formatMonth(monthISO) {
+  return regionalFormat().formatMonth(monthISO);
+}
+
 function $(id) {
   return document.getElementById(id);
 }
@@ -337,6 +1266,14 @@ function td(text, className) {
   return cell;
 }
 
+function fxNote(text) {
+  // Secondary line under an amount (original currency, conversion).
+  const note = document.createElement("div");
+  note.className = "fx-note";
+  note.textContent = text;
+  return note;
+}
+
 function btn(label, attrs = {}) {
   const b = document.createElement("button");
   b.className = "btn secondary";
@@ -346,268 +1283,3109 @@ function btn(label, attrs = {}) {
   return b;
 }
 
-/* ------------------------------ Rendering ------------------------------ */
+function showFieldErrors(inputIds, errors) {
+  // inputIds: field -> input id. Marks invalid inputs (message in the tooltip), focuses the first; true if any.
+  let first = null;
+  for (const [field, id] of Object.entries(inputIds)) {
+    const el = $(id);
+    el.classList.toggle("invalid", Boolean(errors[field]));
+    el.title = errors[field] || "";
+    if (errors[field] && !first) first = el;
+  }
+  if (first) first.focus();
+  return Boolean(first);
+}
 
-function renderCategorySelects() {
-  const expSel = $("expenseCategory");
-  const spendSel = $("spendCategory");
+function downloadFile(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
-  clear(expSel);
-  clear(spendSel);
+function fillSelect(sel, options, value) {
+  clear(sel);
+  for (const [v, label] of options) {
+    const o = document.createElement("option");
+    o.value = String(v); o.textContent = label;
+    sel.appendChild(o);
+  }
+  sel.value = String(value);
+}
 
-  for (const cat of CATEGORIES) {
-    const o1 = document.createElement("option");
-    o1.value = cat; o1.textContent = cat;
-    expSel.appendChild(o1);
+/* ------------------------------ Charts ------------------------------ */
+
+// Dependency-free canvas charts. Each draw function paints onto a 2D context at a given size and theme, so the
+// on-screen charts and the images embedded in the PDF come from the same code.
+const CHART_FONT = "system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+const CHART_THEMES = {
+  // Screen colors mirror the :root variables in styles.css; print is the same palette darkened for white paper.
+  screen: {
+    background: "",
+    text: "#e8eaed",
+    muted: "#a8b0bb",
+    grid: "rgba(255,255,255,0.08)",
+    planned: "rgba(255,255,255,0.16)",
+    accent: "#7bdff2",
+    danger: "#ff6b6b",
+    palette: ["#7bdff2", "#8cffc1", "#ffd166", "#ff6b6b", "#b9a4ff", "#f7a8d8", "#ffb37a", "#9fd36f"]
+  },
+  print: {
+    background: "#ffffff",
+    text: "#14161d",
+    muted: "#5f6670",
+    grid: "#e1e4e8",
+    planned: "#d5d9de",
+    accent: "#1c8aa8",
+    danger: "#d64545",
+    palette: ["#1c8aa8", "#2f9e6a", "#d49b12", "#d64545", "#6f55d9", "#c2549a", "#d9772b", "#5f8f2a"]
+  }
+};
+const CHART_BAR_ROW = 24; // height of one category in the planned-vs-actual chart
+
+function chartContext(canvas, width, height, ratio = 1) {
+  // Sizes the backing store (ratio > 1 keeps lines sharp on high-DPI screens and in print); null without canvas support.
+  const ctx = canvas.getContext ? canvas.getContext("2d") : null;
+  if (!ctx) return null;
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  return ctx;
+}
 
-    const o2 = document.createElement("option");
-    o2.value = cat; o2.textContent = cat;
-    spendSel.appendChild(o2);
+function chartFrame(ctx, width, height, theme) {
+  ctx.clearRect(0, 0, width, height);
+  if (theme.background) {
+    ctx.fillStyle = theme.background;
+    ctx.fillRect(0, 0, width, height);
   }
+  ctx.font = `12px ${CHART_FONT}`;
+  ctx.textBaseline = "middle";
 }
 
-function renderInputs() {
-  $("incomeFrequency").value = state.income.frequency;
-  $("grossPerPaycheck").value = String(state.income.grossPerPaycheck ?? 0);
-  $("taxRatePct").value = String(state.income.taxRatePct ?? 20);
-  $("otherDeductionsPerPaycheck").value = String(state.income.otherDeductionsPerPaycheck ?? 0);
-  $("otherMonthlyIncome").value = String(state.income.otherMonthlyIncome ?? 0);
+function chartEmpty(ctx, width, height, theme, message) {
+  ctx.fillStyle = theme.muted;
+  ctx.textAlign = "center";
+  ctx.fillText(message, width / 2, height / 2);
+}
 
-  $("ledgerMonth").value = state.ledgerMonth;
-  $("spendDate").value = todayISO();
+function fitText(ctx, text, maxWidth) {
+  // Trims a label with an ellipsis until it fits.
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let s = text;
+  while (s.length > 1 && ctx.measureText(`${s}…`).width > maxWidth) s = s.slice(0, -1);
+  return `${s}…`;
+}
 
-  $("payoffStrategy").value = state.payoff.strategy;
-  $("extraPayment").value = String(state.payoff.extraPayment ?? 0);
+function breakdownSlices(rows, limit = 7) {
+  // Categories with net spending, largest first; past the limit the tail is folded into one slice.
+  const items = rows
+    .filter(r => r.actual >= 0.005)
+    .map(r => ({ label: r.category, value: r.actual }))
+    .sort((a, b) => b.value - a.value);
+  if (items.length <= limit + 1) return items;
+  const rest = items.slice(limit);
+  return [...items.slice(0, limit), { label: `${rest.length} more categories`, value: rest.reduce((a, x) => a + x.value, 0) }];
+}
+
+function varianceBars(rows, envelope) {
+  // In envelope mode the bar to beat is what's available (start + planned), as in the table.
+  return rows
+    .filter(r => r.planned >= 0.005 || Math.abs(r.actual) >= 0.005)
+    .map(r => ({ label: r.category, planned: Math.max(0, envelope ? r.available : r.planned), actual: Math.max(0, r.actual) }));
+}
+
+function payoffSeries(runs, startBalance) {
+  // One remaining-balance curve per strategy that pays everything off; point 0 is today's total.
+  if (startBalance < 0.005) return [];
+  return runs
+    .filter(r => r.feasible)
+    .map(r => ({ key: r.key, label: r.label.replace(/ \(.*$/, ""), points: [startBalance, ...r.plan.schedule.map(x => x.totalBalanceRemaining)] }));
 }
 
-function renderKPIs() {
-  const inc = calcIncomeMonthly(state.income);
-  const plannedTotal = sumPlannedExpenses(state.expenses);
+function drawBreakdownChart(ctx, width, height, slices, theme) {
+  chartFrame(ctx, width, height, theme);
+  const total = slices.reduce((a, s) => a + s.value, 0);
+  if (!slices.length) return chartEmpty(ctx, width, height, theme, "No spending recorded this month");
+
+  // Donut on the left with the total in the middle, legend to the right.
+  const r = Math.max(30, Math.min(height / 2 - 8, width * 0.22));
+  const cx = r + 8;
+  const cy = height / 2;
+  let angle = -Math.PI / 2;
+  slices.forEach((s, i) => {
+    const sweep = (s.value / total) * Math.PI * 2;
+    ctx.beginPath();
+    ctx.moveTo(cx, cy);
+    ctx.arc(cx, cy, r, angle, angle + sweep);
+    ctx.closePath();
+    ctx.fillStyle = theme.palette[i % theme.palette.length];
+    ctx.fill();
+    angle += sweep;
+  });
+  ctx.globalCompositeOperation = "destination-out";
+  ctx.beginPath();
+  ctx.arc(cx, cy, r * 0.58, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.globalCompositeOperation = "source-over";
+  if (theme.background) {
+    ctx.fillStyle = theme.background;
+    ctx.beginPath();
+    ctx.arc(cx, cy, r * 0.58, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.fillStyle = theme.text;
+  ctx.textAlign = "center";
+  ctx.font = `bold 12px ${CHART_FONT}`;
+  ctx.fillText(fitText(ctx, money(total), r * 1.1), cx, cy);
+  ctx.font = `12px ${CHART_FONT}`;
+
+  const left = cx + r + 16;
+  const right = width - 4;
+  const rowH = Math.min(20, (height - 8) / slices.length);
+  const showAmounts = right - left > 240;
+  slices.forEach((s, i) => {
+    const y = cy - (slices.length * rowH) / 2 + rowH * (i + 0.5);
+    ctx.fillStyle = theme.palette[i % theme.palette.length];
+    ctx.fillRect(left, y - 5, 10, 10);
+    const pct = `${((s.value / total) * 100).toFixed(0)}%`;
+    const amount = showAmounts ? `${money(s.value)}  ${pct}` : pct;
+    ctx.fillStyle = theme.muted;
+    ctx.textAlign = "right";
+    ctx.fillText(amount, right, y);
+    ctx.fillStyle = theme.text;
+    ctx.textAlign = "left";
+    ctx.fillText(fitText(ctx, s.label, right - left - 22 - ctx.measureText(amount).width), left + 16, y);
+  });
+}
 
-  const monthTxns = spendingForMonth(state.spending, state.ledgerMonth);
-  const actualTotal = sumSpending(monthTxns);
+function drawVarianceChart(ctx, width, height, bars, theme, basisLabel = "Planned") {
+  chartFrame(ctx, width, height, theme);
+  if (!bars.length) return chartEmpty(ctx, width, height, theme, "No planned or actual spending this month");
+
+  // Legend across the top, then one row per category: the planned bar behind, actual drawn over it.
+  const legend = [[basisLabel, theme.planned], ["Actual", theme.accent], ["Over", theme.danger]];
+  let lx = 0;
+  ctx.textAlign = "left";
+  for (const [label, color] of legend) {
+    ctx.fillStyle = color;
+    ctx.fillRect(lx, 4, 10, 10);
+    ctx.fillStyle = theme.muted;
+    ctx.fillText(label, lx + 14, 9);
+    lx += 24 + ctx.measureText(label).width;
+  }
 
-  const cashLeft = inc.monthlyNet - plannedTotal;
-  const variance = plannedTotal - actualTotal;
+  const top = 22;
+  const labelW = Math.min(120, width * 0.3);
+  const valueW = 56;
+  const plotW = Math.max(20, width - labelW - valueW - 12);
+  const max = Math.max(...bars.map(b => Math.max(b.planned, b.actual)), 1);
+  bars.forEach((b, i) => {
+    const y = top + i * CHART_BAR_ROW;
+    const mid = y + CHART_BAR_ROW / 2;
+    ctx.fillStyle = theme.text;
+    ctx.textAlign = "left";
+    ctx.fillText(fitText(ctx, b.label, labelW - 6), 0, mid);
+
+    const x = labelW;
+    ctx.fillStyle = theme.planned;
+    ctx.fillRect(x, y + 3, (b.planned / max) * plotW, CHART_BAR_ROW - 6);
+    ctx.fillStyle = b.actual > b.planned + 0.005 ? theme.danger : theme.accent;
+    ctx.fillRect(x, y + 8, (b.actual / max) * plotW, CHART_BAR_ROW - 16);
+
+    ctx.fillStyle = theme.muted;
+    ctx.textAlign = "right";
+    ctx.fillText(b.planned > 0 ? `${((b.actual / b.planned) * 100).toFixed(0)}%` : compactMoney(b.actual), width - 2, mid);
+  });
+}
 
-  const debtTotal = state.debts.reduce((a, d) => a + num(d.balance), 0);
+function drawPayoffChart(ctx, width, height, series, theme, selectedKey = "") {
+  chartFrame(ctx, width, height, theme);
+  if (!series.length) return chartEmpty(ctx, width, height, theme, "Add debts with a feasible payment plan to see the payoff curve");
+
+  const left = 56;
+  const top = 24;
+  const bottom = height - 22;
+  const right = width - 8;
+  const maxMonth = Math.max(...series.map(s => s.points.length - 1), 1);
+  const maxBalance = Math.max(...series.flatMap(s => s.points), 1);
+  const xAt = m => left + (m / maxMonth) * (right - left);
+  const yAt = v => bottom - (v / maxBalance) * (bottom - top);
+
+  // Horizontal grid with balance labels, month labels along the bottom.
+  ctx.lineWidth = 1;
+  for (let i = 0; i <= 4; i++) {
+    const v = (maxBalance * i) / 4;
+    ctx.strokeStyle = theme.grid;
+    ctx.beginPath();
+    ctx.moveTo(left, yAt(v));
+    ctx.lineTo(right, yAt(v));
+    ctx.stroke();
+    ctx.fillStyle = theme.muted;
+    ctx.textAlign = "right";
+    ctx.fillText(compactMoney(v), left - 6, yAt(v));
+  }
+  const step = [1, 3, 6, 12, 24, 60, 120].find(n => maxMonth / n <= 6) || 240;
+  ctx.textAlign = "center";
+  for (let m = 0; m <= maxMonth; m += step) ctx.fillText(payoffDateLabel(m, regionalFormat()), xAt(m), bottom + 12);
+
+  let lx = left;
+  series.forEach((s, i) => {
+    const color = theme.palette[i % theme.palette.length];
+    ctx.strokeStyle = color;
+    ctx.lineWidth = s.key === selectedKey ? 3 : 1.5;
+    ctx.beginPath();
+    s.points.forEach((v, m) => (m ? ctx.lineTo(xAt(m), yAt(v)) : ctx.moveTo(xAt(m), yAt(v))));
+    ctx.stroke();
+
+    ctx.fillStyle = color;
+    ctx.fillRect(lx, 4, 10, 10);
+    ctx.fillStyle = s.key === selectedKey ? theme.text : theme.muted;
+    ctx.textAlign = "left";
+    ctx.fillText(s.label, lx + 14, 9);
+    lx += 26 + ctx.measureText(s.label).width;
+  });
+}
 
-  setText("kpiMonthlyGross", money(inc.monthlyGross));
-  setText("kpiMonthlyNet", money(inc.monthlyNet));
-  setText("kpiPlannedExpenses", money(plannedTotal));
-  setText("kpiCashLeft", money(cashLeft));
-  setText("kpiActualSpending", money(actualTotal));
-  setText("kpiVariance", money(variance));
-  setText("kpiDebtTotal", money(debtTotal));
+// On-screen charts follow their container's width, so they are redrawn (from the last data) when the window resizes.
+const screenCharts = new Map(); // canvas id -> { height, draw }
+let chartResizeQueued = false;
+
+function drawScreenChart(id, height, draw) {
+  const canvas = $(id);
+  const width = canvas.clientWidth || canvas.parentElement.clientWidth || 480;
+  screenCharts.set(id, { height, draw });
+  canvas.style.height = `${height}px`;
+  const ctx = chartContext(canvas, width, height, window.devicePixelRatio || 1);
+  if (ctx) draw(ctx, width, height, CHART_THEMES.screen);
 }
 
-function renderExpensesTable() {
-  const tbody = $("expenseTbody");
-  clear(tbody);
+function redrawScreenCharts() {
+  if (chartResizeQueued) return;
+  chartResizeQueued = true;
+  requestAnimationFrame(() => {
+    chartResizeQueued = false;
+    for (const [id, c] of screenCharts) drawScreenChart(id, c.height, c.draw);
+  });
+}
 
-  for (const e of state.expenses) {
-    const tr = document.createElement("tr");
-    tr.appendChild(td(e.name));
-    tr.appendChild(td(e.category));
-    tr.appendChild(td(money(e.amount), "right"));
+function chartImage(width, height, draw) {
+  // A chart rendered off-screen in the print theme, as a PNG data URL for the PDF ("" without canvas support).
+  const canvas = document.createElement("canvas");
+  const ctx = chartContext(canvas, width, height, 2);
+  if (!ctx) return "";
+  draw(ctx, width, height, CHART_THEMES.print);
+  return canvas.toDataURL("image/png");
+}
+
+/* ------------------------------ Rendering ------------------------------ */
+
+function fillCategorySelect(sel, value) {
+  // Active categories, grouped into <optgroup>s; an archived current value stays selectable.
+  const cats = state.categories.filter(c => !c.archived || c.name === value);
+  const groups = new Map();
+  for (const c of cats) {
+    if (!groups.has(c.group)) groups.set(c.group, []);
+    groups.get(c.group).push(c);
+  }
+
+  clear(sel);
+  for (const [group, list] of groups) {
+    const parent = group ? document.createElement("optgroup") : sel;
+    if (group) { parent.label = group; sel.appendChild(parent); }
+    for (const c of list) {
+      const o = document.createElement("option");
+      o.value = c.name; o.textContent = c.archived ? `${c.name} (archived)` : c.name;
+      parent.appendChild(o);
+    }
+  }
+  sel.value = cats.some(c => c.name === value) ? value : FALLBACK_CATEGORY;
+}
+
+function fillCurrencySelect(sel, value) {
+  // "" is the base currency; a record's current currency stays selectable even if its rates were removed.
+  const others = knownCurrencies(state).slice(1);
+  if (value && !others.includes(value)) others.push(value);
+  fillSelect(sel, [["", `${state.regional.currency} (base)`], ...others.map(c => [c, c])], value || "");
+}
+
+let renderedCurrenciesKey = "";
+function renderCurrencySelects() {
+  const key = knownCurrencies(state).join("|");
+  if (key === renderedCurrenciesKey) return;
+  renderedCurrenciesKey = key;
+
+  for (const id of ["spendCurrency", "debtCurrency"]) {
+    const sel = $(id);
+    fillCurrencySelect(sel, knownCurrencies(state).includes(sel.value) ? sel.value : "");
+  }
+}
+
+let renderedCategoriesKey = "";
+function fillGoalSelect(sel, value) {
+  fillSelect(sel, [["", "No goal"], ...state.goals.map(g => [g.id, `Goal: ${g.name}`])], value);
+}
+
+function renderCategorySelects() {
+  const key = JSON.stringify(state.categories);
+  if (key === renderedCategoriesKey) return;
+  renderedCategoriesKey = key;
+
+  for (const id of ["expenseCategory", "spendCategory", "recCategory", "goalCategory", "ruleCategory"]) {
+    const sel = $(id);
+    fillCategorySelect(sel, sel.value);
+  }
+}
+
+let renderedCategoryKey = "";
+function renderCategoryManager() {
+  // Rows hold live inputs, so they're only rebuilt when a category's settings or the order change; otherwise
+  // just the usage counts are refreshed, so focus survives unrelated renders.
+  const key = JSON.stringify(state.categories.map(c => [c.id, c.name, c.group, c.rollover, c.rolloverCap, c.archived]));
+  const tbody = $("categoryTbody");
+
+  if (key !== renderedCategoryKey) {
+    renderedCategoryKey = key;
+    clear(tbody);
+
+    const groups = [...new Set(state.categories.map(c => c.group).filter(Boolean))];
+    const dl = $("categoryGroups");
+    clear(dl);
+    for (const g of groups) {
+      const o = document.createElement("option");
+      o.value = g;
+      dl.appendChild(o);
+    }
+
+    state.categories.forEach((c, i) => {
+      const tr = document.createElement("tr");
+      tr.setAttribute("data-id", c.id);
+      if (c.archived) tr.className = "archived";
+      const locked = c.name === FALLBACK_CATEGORY;
+
+      const nameCell = document.createElement("td");
+      const name = document.createElement("input");
+      name.value = c.name;
+      name.disabled = locked;
+      name.setAttribute("aria-label", "Category name");
+      name.setAttribute("data-action", "rename-category");
+      name.setAttribute("data-id", c.id);
+      nameCell.appendChild(name);
+      tr.appendChild(nameCell);
+
+      const groupCell = document.createElement("td");
+      const group = document.createElement("input");
+      group.value = c.group;
+      group.placeholder = "No group";
+      group.setAttribute("list", "categoryGroups");
+      group.setAttribute("aria-label", "Group");
+      group.setAttribute("data-action", "group-category");
+      group.setAttribute("data-id", c.id);
+      groupCell.appendChild(group);
+      tr.appendChild(groupCell);
+
+      const rolloverCell = document.createElement("td");
+      rolloverCell.className = "actions";
+      const rule = document.createElement("select");
+      rule.setAttribute("aria-label", "Rollover rule");
+      rule.setAttribute("data-action", "rollover-category");
+      rule.setAttribute("data-id", c.id);
+      fillSelect(rule, [["all", "Carry all"], ["capped", "Carry up to…"], ["reset", "Reset"]], c.rollover);
+      rolloverCell.appendChild(rule);
+      if (c.rollover === "capped") {
+        const cap = document.createElement("input");
+        cap.type = "number"; cap.min = "0"; cap.step = "0.01"; cap.className = "narrow";
+        cap.value = String(c.rolloverCap);
+        cap.setAttribute("aria-label", "Rollover cap");
+        cap.setAttribute("data-action", "rollover-cap");
+        cap.setAttribute("data-id", c.id);
+        rolloverCell.appendChild(cap);
+      }
+      tr.appendChild(rolloverCell);
+
+      tr.appendChild(td("", "right computed-used"));
+
+      const actions = document.createElement("td");
+      actions.className = "right actions";
+      const up = btn("↑", { "data-action": "move-category", "data-id": c.id, "data-delta": "-1", "aria-label": "Move up" });
+      const down = btn("↓", { "data-action": "move-category", "data-id": c.id, "data-delta": "1", "aria-label": "Move down" });
+      up.disabled = i === 0;
+      down.disabled = i === state.categories.length - 1;
+      actions.appendChild(up);
+      actions.appendChild(down);
+
+      const archive = btn(c.archived ? "Restore" : "Archive", { "data-action": "archive-category", "data-id": c.id });
+      archive.disabled = locked;
+      actions.appendChild(archive);
+
+      const merge = document.createElement("select");
+      merge.setAttribute("aria-label", `Merge ${c.name} into`);
+      merge.setAttribute("data-action", "merge-category");
+      merge.setAttribute("data-id", c.id);
+      merge.disabled = locked;
+      fillSelect(merge, [["", "Merge into…"], ...state.categories.filter(x => x !== c).map(x => [x.id, x.name])], "");
+      actions.appendChild(merge);
+
+      tr.appendChild(actions);
+      tbody.appendChild(tr);
+    });
+  }
+
+  const used = groupByCategory([...state.expenses, ...state.spending], () => 1);
+  for (const c of state.categories) {
+    const tr = tbody.querySelector(`tr[data-id="${c.id}"]`);
+    if (tr) tr.querySelector(".computed-used").textContent = String(used.get(c.name) || 0);
+  }
+}
+
+function renderInputs() {
+  renderSettingInputs();
+  $("spendDate").value = todayISO();
+  $("recStart").value = todayISO();
+  $("lumpMonth").value = addMonthsISO(currentMonthISO(), 1);
+  $("lumpMonth").min = addMonthsISO(currentMonthISO(), 1);
+  $("fxDate").value = todayISO();
+}
+
+function renderSettingInputs() {
+  // Inputs bound directly to state settings (also refreshed after undo/redo).
+  $("taxMode").value = state.income.taxMode;
+  fillSelect($("filingStatus"), Object.entries(FILING_STATUSES), state.income.filingStatus);
+  fillSelect($("taxYear"), Object.keys(TAX_TABLES).map(y => [y, y]), state.income.taxYear);
+  $("stateTaxPct").value = String(state.income.stateTaxPct ?? 0);
+  renderIncomeSources({ force: true });
+
+  $("ledgerMonth").value = state.ledgerMonth;
+
+  $("trendMonths").value = String(state.trendMonths);
+  $("budgetMode").value = state.budget.mode;
+  $("envelopeStartMonth").value = state.budget.envelopeStartMonth;
+
+  $("cfStart").value = String(state.cashFlow.startingBalance);
+  $("cfFloor").value = String(state.cashFlow.floor);
+  $("cfDays").value = String(state.cashFlow.days);
+
+  $("payoffStrategy").value = state.payoff.strategy;
+  $("extraPayment").value = String(state.payoff.extraPayment ?? 0);
+
+  fillSelect($("baseCurrency"), [...new Set([...CURRENCIES, state.regional.currency])].map(c => [c, c]), state.regional.currency);
+  fillSelect($("displayLocale"), Object.entries(LOCALES), state.regional.locale);
+}
+
+function renderKPIs(snap) {
+  setText("kpiMonthlyGross", money(snap.income.monthlyGross));
+  setText("kpiMonthlyNet", money(snap.income.monthlyNet));
+  renderIncomeSources();
+  renderTaxBreakdown(snap.income);
+  setText("kpiPlannedExpenses", money(snap.plannedTotal));
+  setText("kpiCashLeft", money(snap.cashLeft));
+  setText("kpiActualSpending", money(snap.actualTotal));
+  setText("kpiVariance", money(snap.variance));
+  setText("kpiActualIncome", money(snap.actualIncome));
+  setText("kpiIncomeVariance", money(snap.incomeVariance));
+  setText("kpiDebtTotal", money(snap.debtTotal));
+}
+
+let renderedIncomeKey = "";
+function renderIncomeSources({ force = false } = {}) {
+  // Rows hold live inputs, so they're only rebuilt when sources are added/removed (or on
+  // renderInputs); otherwise just the computed columns are refreshed to keep focus while typing.
+  const key = state.income.sources.map(x => x.id).join("|");
+  const tbody = $("incomeTbody");
+
+  if (force || key !== renderedIncomeKey) {
+    renderedIncomeKey = key;
+    clear(tbody);
+
+    const numberInput = (src, field, label, attrs = {}) => {
+      const cell = document.createElement("td");
+      cell.className = `right ${attrs.className || ""}`.trim();
+      const el = document.createElement("input");
+      el.type = "number"; el.min = "0"; el.step = attrs.step || "0.01"; el.inputMode = "decimal";
+      if (attrs.max) el.max = attrs.max;
+      el.value = String(src[field]);
+      el.setAttribute("aria-label", label);
+      el.setAttribute("data-field", field);
+      cell.appendChild(el);
+      return cell;
+    };
+
+    for (const src of state.income.sources) {
+      const tr = document.createElement("tr");
+      tr.setAttribute("data-id", src.id);
+
+      const nameCell = document.createElement("td");
+      const name = document.createElement("input");
+      name.value = src.name;
+      name.setAttribute("aria-label", "Source name");
+      name.setAttribute("data-field", "name");
+      nameCell.appendChild(name);
+      tr.appendChild(nameCell);
+
+      const freqCell = document.createElement("td");
+      const freq = document.createElement("select");
+      freq.setAttribute("aria-label", "Pay frequency");
+      freq.setAttribute("data-field", "frequency");
+      fillSelect(freq, Object.entries(PAY_FREQUENCIES), src.frequency);
+      freqCell.appendChild(freq);
+      tr.appendChild(freqCell);
+
+      const paydayCell = document.createElement("td");
+      const payday = document.createElement("input");
+      payday.type = "date";
+      payday.value = src.firstPayday;
+      payday.setAttribute("aria-label", "First payday");
+      payday.setAttribute("data-field", "firstPayday");
+      paydayCell.appendChild(payday);
+      tr.appendChild(paydayCell);
+
+      tr.appendChild(numberInput(src, "grossPerPaycheck", "Gross per paycheck"));
+      tr.appendChild(numberInput(src, "withholdingPct", "Withholding rate (%)", { step: "0.1", max: "60", className: "tax-simple" }));
+      tr.appendChild(numberInput(src, "pretax401kPerPaycheck", "Pre-tax 401(k) per paycheck"));
+      tr.appendChild(numberInput(src, "hsaPerPaycheck", "Pre-tax HSA per paycheck"));
+      tr.appendChild(numberInput(src, "otherDeductionsPerPaycheck", "Other deductions per paycheck"));
+
+      const taxableCell = document.createElement("td");
+      const taxable = document.createElement("input");
+      taxable.type = "checkbox";
+      taxable.checked = src.taxable;
+      taxable.setAttribute("aria-label", "Taxable");
+      taxable.setAttribute("data-field", "taxable");
+      taxableCell.appendChild(taxable);
+      tr.appendChild(taxableCell);
+
+      tr.appendChild(td("", "right computed-gross"));
+      tr.appendChild(td("", "right computed-net"));
+
+      const actions = document.createElement("td");
+      actions.className = "right";
+      const remove = btn("Remove", { "data-action": "delete-income", "data-id": src.id });
+      remove.disabled = state.income.sources.length <= 1;
+      actions.appendChild(remove);
+      tr.appendChild(actions);
+
+      tbody.appendChild(tr);
+    }
+  }
+
+  const inc = calcIncomeMonthly(state.income, regionalFormat());
+  for (const x of inc.sources) {
+    const tr = tbody.querySelector(`tr[data-id="${x.id}"]`);
+    if (!tr) continue;
+    tr.querySelector(".computed-gross").textContent = money(x.monthlyGross);
+    tr.querySelector(".computed-net").textContent = money(x.monthlyNet);
+  }
+}
+
+function renderTaxBreakdown(inc) {
+  const progressive = state.income.taxMode === "progressive";
+  for (const el of document.querySelectorAll(".tax-simple")) el.hidden = progressive;
+  for (const el of document.querySelectorAll(".tax-progressive")) el.hidden = !progressive;
+
+  const tbody = $("taxTbody");
+  clear(tbody);
+  const row = (label, value, className) => {
+    const tr = document.createElement("tr");
+    if (className) tr.className = className;
+    tr.appendChild(td(label));
+    tr.appendChild(td(value, "right"));
+    tbody.appendChild(tr);
+  };
+
+  row("Monthly gross", money(inc.monthlyGross));
+  if (inc.pretax401k > 0) row("Pre-tax 401(k)", money(-inc.pretax401k));
+  if (inc.hsa > 0) row("Pre-tax HSA", money(-inc.hsa));
+  for (const l of inc.taxLines) row(l.label, money(-l.monthly));
+  row("Total taxes", money(inc.taxes), "total-row");
+  row(progressive ? "Effective / marginal rate" : "Effective / highest withholding rate",
+    `${inc.effectiveRatePct.toFixed(1)}% / ${inc.marginalRatePct}%`);
+  if (inc.sources.length > 1) {
+    for (const x of inc.sources) {
+      row(`${x.name}: gross ${money(x.monthlyGross)}, taxes ${money(x.taxes)}, deductions ${money(x.deductions)}`, money(x.monthlyNet));
+    }
+  }
+}
+
+function renderExpensesTable() {
+  const tbody = $("expenseTbody");
+  clear(tbody);
+
+  for (const e of state.expenses) {
+    if (isRowEditing("expenses", e.id)) {
+      tbody.appendChild(rowEditor("expenses", e));
+      continue;
+    }
+    const tr = document.createElement("tr");
+    tr.appendChild(td(e.name));
+    tr.appendChild(td(e.category));
+    tr.appendChild(td(money(e.amount), "right"));
+    tr.appendChild(td(e.dueDay ? String(e.dueDay) : "—", "right"));
+
+    const actions = document.createElement("td");
+    actions.className = "right actions";
+    actions.appendChild(btn("Edit", { "data-action": "edit-row", "data-id": e.id }));
+    actions.appendChild(btn("Remove", { "data-action": "delete-expense", "data-id": e.id }));
+    tr.appendChild(actions);
+
+    tbody.appendChild(tr);
+  }
+
+  // Goal contributions are planned automatically; they're edited through the goal itself.
+  for (const item of plannedItems(state).filter(x => x.goalId)) {
+    const tr = document.createElement("tr");
+    const nameCell = td(item.name);
+    const tag = document.createElement("span");
+    tag.className = "tag";
+    tag.textContent = "goal";
+    nameCell.appendChild(tag);
+    tr.appendChild(nameCell);
+    tr.appendChild(td(item.category));
+    tr.appendChild(td(money(item.amount), "right"));
+    tr.appendChild(td(""));
+    tr.appendChild(td(""));
+    tbody.appendChild(tr);
+  }
+}
+
+// Session-only view settings for the ledger table (not saved, not undoable).
+const LEDGER_PAGE_SIZE = 50;
+const ledgerView = { filter: emptyLedgerFilter(), sortKey: "date", sortDir: "asc", page: 0, exportScope: false };
+
+function ledgerViewTxns() {
+  return sortLedger(filterLedger(state.spending, ledgerView.filter, state.ledgerMonth), ledgerView.sortKey, ledgerView.sortDir);
+}
+
+function renderLedgerToolbar() {
+  const sel = $("ledgerCategories");
+  const names = state.categories.map(c => c.name);
+  ledgerView.filter.categories = ledgerView.filter.categories.filter(n => names.includes(n));
+  if (sel.options.length !== names.length || [...sel.options].some((o, i) => o.value !== names[i])) {
+    fillSelect(sel, names.map(n => [n, n]), "");
+  }
+  for (const o of sel.options) o.selected = ledgerView.filter.categories.includes(o.value);
+
+  for (const th of document.querySelectorAll("#spendTable th[data-sort]")) {
+    const key = th.getAttribute("data-sort");
+    const active = key === ledgerView.sortKey;
+    th.setAttribute("aria-sort", active ? (ledgerView.sortDir === "asc" ? "ascending" : "descending") : "none");
+    th.querySelector("button").textContent = `${th.getAttribute("data-label")}${active ? (ledgerView.sortDir === "asc" ? " ▲" : " ▼") : ""}`;
+  }
+}
+
+function renderSpendingTable() {
+  const tbody = $("spendTbody");
+  clear(tbody);
+  renderLedgerToolbar();
+
+  const txns = ledgerViewTxns();
+  const pages = Math.max(1, Math.ceil(txns.length / LEDGER_PAGE_SIZE));
+  ledgerView.page = clamp(ledgerView.page, 0, pages - 1);
+  const first = ledgerView.page * LEDGER_PAGE_SIZE;
+  const pageTxns = txns.slice(first, first + LEDGER_PAGE_SIZE);
+
+  const filtered = ledgerFilterActive(ledgerView.filter);
+  $("kpiFilteredBox").hidden = !filtered;
+  setText("kpiFilteredLabel", `Filtered Total (${txns.length} transaction${txns.length === 1 ? "" : "s"})`);
+  setText("kpiFilteredTotal", money(ledgerFilterTotal(txns, ledgerView.filter)));
+  setText("ledgerFilterNote", filtered ? `Showing ${describeLedgerFilter(ledgerView.filter, state.ledgerMonth, regionalFormat())}.` : "");
+  $("ledgerPager").hidden = txns.length <= LEDGER_PAGE_SIZE;
+  setText("ledgerPageInfo", txns.length ? `${first + 1}–${first + pageTxns.length} of ${txns.length}` : "");
+  $("btnLedgerPrev").disabled = ledgerView.page === 0;
+  $("btnLedgerNext").disabled = ledgerView.page >= pages - 1;
+
+  for (const t of pageTxns) {
+    if (isRowEditing("spending", t.id)) {
+      tbody.appendChild(rowEditor("spending", t));
+      continue;
+    }
+    const tr = document.createElement("tr");
+    tr.appendChild(td(formatDate(t.date)));
+    tr.appendChild(td(t.splits.length ? `Split (${t.splits.length})` : t.category));
+
+    const descCell = td(t.description);
+    const goal = t.goalId && state.goals.find(g => g.id === t.goalId);
+    const tags = [t.type !== "expense" ? TXN_TYPES[t.type].toLowerCase() : "", t.recurringId ? "recurring" : "", goal ? `goal: ${goal.name}` : ""];
+    for (const text of tags.filter(Boolean)) {
+      const tag = document.createElement("span");
+      tag.className = "tag";
+      tag.textContent = text;
+      descCell.appendChild(tag);
+    }
+    tr.appendChild(descCell);
+    // Refunds read as money coming back. Foreign transactions show the original amount and rate underneath.
+    const sign = t.type === "refund" ? -1 : 1;
+    const amountCell = td(money(sign * t.amount), "right");
+    if (t.fx) amountCell.appendChild(fxNote(`${money(sign * t.fx.amount, t.fx.currency)} @ ${t.fx.rate}`));
+    tr.appendChild(amountCell);
+
+    const actions = document.createElement("td");
+    actions.className = "right actions";
+    actions.appendChild(btn("Edit", { "data-action": "edit-row", "data-id": t.id }));
+    actions.appendChild(btn("Remove", { "data-action": "delete-spending", "data-id": t.id }));
+    tr.appendChild(actions);
+
+    tbody.appendChild(tr);
+
+    for (const l of t.splits) {
+      const line = document.createElement("tr");
+      line.className = "split-row";
+      line.appendChild(td(""));
+      line.appendChild(td(l.category, "indent"));
+      line.appendChild(td(l.memo));
+      line.appendChild(td(money(l.amount, t.fx?.currency), "right"));
+      line.appendChild(td(""));
+      tbody.appendChild(line);
+    }
+  }
+}
+
+function renderBudgetVsActual(snap) {
+  document.querySelector(".envelope-setting").hidden = state.budget.mode !== "envelope";
+
+  const tbody = $("bvaTbody");
+  const alertsEl = $("alerts");
+  clear(tbody);
+  clear(alertsEl);
+
+  const envelope = snap.envelope;
+  const { rows, alerts } = snap.budget;
+  $("bvaTable").classList.toggle("envelope", envelope);
+  const basis = envelope ? "available" : "planned";
+
+  // Charts
+  const slices = breakdownSlices(rows);
+  drawScreenChart("chartBreakdown", 180, (ctx, w, h, theme) => drawBreakdownChart(ctx, w, h, slices, theme));
+  const bars = varianceBars(rows, envelope);
+  setText("chartVarianceTitle", envelope ? "Available vs actual" : "Planned vs actual");
+  drawScreenChart("chartVariance", 30 + Math.max(1, bars.length) * CHART_BAR_ROW, (ctx, w, h, theme) => {
+    drawVarianceChart(ctx, w, h, bars, theme, envelope ? "Available" : "Planned");
+  });
+
+  // Alerts
+  if (alerts.length === 0) {
+    const a = document.createElement("div");
+    a.className = "alert";
+    a.textContent = "No alerts for this month based on your planned budget.";
+    alertsEl.appendChild(a);
+  } else {
+    for (const r of alerts.slice(0, 6)) {
+      const div = document.createElement("div");
+      div.className = `alert ${r.status === "Over" ? "over" : "near"}`;
+
+      const badge = document.createElement("span");
+      badge.className = `badge ${r.status === "Over" ? "over" : "near"}`;
+      badge.textContent = r.status.toUpperCase();
+
+      const text = document.createElement("span");
+      if (r.available <= 0 && r.starting === 0) {
+        text.textContent = `${r.category}: ${money(r.actual)} spent with no planned budget set.`;
+      } else if (r.status === "Over") {
+        text.textContent = `${r.category}: Over budget by ${money(r.actual - r.available)} (${basis} ${money(r.available)}, actual ${money(r.actual)}).`;
+      } else {
+        text.textContent = `${r.category}: ${r.pctUsed.toFixed(0)}% used (${basis} ${money(r.available)}, actual ${money(r.actual)}).`;
+      }
+
+      div.appendChild(badge);
+      div.appendChild(text);
+      alertsEl.appendChild(div);
+    }
+  }
+
+  // Table (grouped categories get a subtotal row ahead of their members)
+  let currentGroup = "";
+  for (const r of rows) {
+    if (r.group && r.group !== currentGroup) {
+      const members = rows.filter(x => x.group === r.group);
+      const sum = key => members.reduce((acc, x) => acc + x[key], 0);
+      const avail = sum("available");
+      const a = sum("actual");
+      const gr = document.createElement("tr");
+      gr.className = "group-row";
+      gr.appendChild(td(r.group));
+      gr.appendChild(td(money(sum("starting")), "right envelope-only"));
+      gr.appendChild(td(money(sum("planned")), "right"));
+      gr.appendChild(td(money(avail), "right envelope-only"));
+      gr.appendChild(td(money(a), "right"));
+      gr.appendChild(td(money(avail - a), "right"));
+      gr.appendChild(td(avail > 0 ? `${((a / avail) * 100).toFixed(0)}%` : "—", "right"));
+      gr.appendChild(td(""));
+      tbody.appendChild(gr);
+    }
+    currentGroup = r.group;
+
+    const tr = document.createElement("tr");
+    tr.appendChild(td(r.category, r.group ? "indent" : ""));
+    tr.appendChild(td(money(r.starting), "right envelope-only"));
+    tr.appendChild(td(money(r.planned), "right"));
+    tr.appendChild(td(money(r.available), "right envelope-only"));
+    tr.appendChild(td(money(r.actual), "right"));
+    tr.appendChild(td(money(r.remaining), "right"));
+    tr.appendChild(td(`${r.pctUsed.toFixed(0)}%`, "right"));
+
+    const statusCell = document.createElement("td");
+    const b = document.createElement("span");
+    const badgeClass = r.status === "Over" ? "over" : (r.status === "Near" ? "near" : "ok");
+    b.className = `badge ${badgeClass}`;
+    b.textContent = r.status;
+    statusCell.appendChild(b);
+
+    tr.appendChild(statusCell);
+    tbody.appendChild(tr);
+  }
+}
+
+function renderTrends() {
+  const { months, rows, totals } = trendAnalysis(state.expenses, state.spending, state.categories, state.ledgerMonth, state.trendMonths);
+
+  const thead = $("trendThead");
+  clear(thead);
+  const htr = document.createElement("tr");
+  const th = (text, className) => {
+    const cell = document.createElement("th");
+    if (className) cell.className = className;
+    cell.textContent = text;
+    return cell;
+  };
+  htr.appendChild(th("Category"));
+  for (const m of months) htr.appendChild(th(formatMonth(m), "right"));
+  for (const h of ["3-mo avg", "6-mo avg", "MoM change", "Over", "Planned", "Suggested"]) htr.appendChild(th(h, "right"));
+  htr.appendChild(th("", "right"));
+  thead.appendChild(htr);
+
+  const tbody = $("trendTbody");
+  clear(tbody);
+
+  for (const r of rows) {
+    const tr = document.createElement("tr");
+    tr.appendChild(td(r.category));
+    for (const a of r.actuals) tr.appendChild(td(a ? money(a) : "—", "right"));
+    tr.appendChild(td(money(r.avg3), "right"));
+    tr.appendChild(td(money(r.avg6), "right"));
+
+    const sign = r.momChange > 0 ? "+" : "";
+    const pct = r.momPct === null ? "" : ` (${sign}${r.momPct.toFixed(0)}%)`;
+    tr.appendChild(td(`${sign}${money(r.momChange)}${pct}`, `right ${r.momChange > 0 ? "up" : (r.momChange < 0 ? "down" : "")}`));
+    tr.appendChild(td(`${r.overCount}×`, "right"));
+    tr.appendChild(td(money(r.planned), "right"));
+    tr.appendChild(td(money(r.suggested), "right"));
+
+    const actions = document.createElement("td");
+    actions.className = "right";
+    if (r.suggested > 0 && Math.abs(r.suggested - r.planned) >= 0.01) {
+      actions.appendChild(btn("Apply", { "data-action": "apply-suggestion", "data-category": r.category }));
+    }
+    tr.appendChild(actions);
+    tbody.appendChild(tr);
+  }
+
+  const total = document.createElement("tr");
+  total.className = "total-row";
+  total.appendChild(td("Total"));
+  for (const t of totals) total.appendChild(td(money(t), "right"));
+  for (let i = 0; i < 7; i++) total.appendChild(td(""));
+  tbody.appendChild(total);
+}
+
+function renderRecurring() {
+  const pendingEl = $("recPending");
+  clear(pendingEl);
+
+  const pending = pendingRecurring(state, todayISO());
+  const shown = new Set();
+  for (const { tpl, date } of pending) {
+    const div = document.createElement("div");
+    div.className = "alert near";
+
+    const text = document.createElement("span");
+    text.textContent = `${formatDate(date)}: ${tpl.description} – ${money(tpl.amount)} (${tpl.category}) is due.`;
+    div.appendChild(text);
+
+    // Occurrences are confirmed oldest-first per template, so only the earliest gets actions.
+    if (!shown.has(tpl.id)) {
+      shown.add(tpl.id);
+      const actions = document.createElement("span");
+      actions.className = "alert-actions";
+      actions.appendChild(btn("Post", { "data-action": "post-recurring", "data-id": tpl.id, "data-date": date }));
+      actions.appendChild(btn("Skip", { "data-action": "skip-recurring", "data-id": tpl.id, "data-date": date }));
+      div.appendChild(actions);
+    }
+    pendingEl.appendChild(div);
+  }
+
+  const tbody = $("recTbody");
+  clear(tbody);
+
+  for (const r of state.recurring) {
+    const tr = document.createElement("tr");
+    tr.appendChild(td(r.description));
+    tr.appendChild(td(r.category));
+    tr.appendChild(td(money(r.amount), "right"));
+    tr.appendChild(td(describeRecurringSchedule(r, regionalFormat())));
+    tr.appendChild(td(nextRecurringDate(r) ? formatDate(nextRecurringDate(r)) : "Ended"));
+    tr.appendChild(td(r.mode === "auto" ? "Auto-post" : "Confirm"));
+
+    const actions = document.createElement("td");
+    actions.className = "right";
+    actions.appendChild(btn("Remove", { "data-action": "delete-recurring", "data-id": r.id }));
+    tr.appendChild(actions);
+
+    tbody.appendChild(tr);
+  }
+}
+
+function renderDebtsTableAndPlan(snap) {
+  const tbody = $("debtTbody");
+  clear(tbody);
+
+  state.debts.forEach((d, i) => {
+    if (isRowEditing("debts", d.id)) {
+      tbody.appendChild(rowEditor("debts", d));
+      return;
+    }
+    const tr = document.createElement("tr");
+    tr.appendChild(td(d.name));
+    const balanceCell = td(money(d.balance, d.currency), "right");
+    if (d.currency) {
+      // Debts in another currency also show what they count as in the plan (today's rate).
+      const rate = fxRate(state.fxRates, state.regional.currency, d.currency, todayISO());
+      balanceCell.appendChild(fxNote(rate === null ? `no ${d.currency} rate; counted 1:1` : `≈ ${money(d.balance * rate)}`));
+    }
+    tr.appendChild(balanceCell);
+    tr.appendChild(td(describeDebtApr(d, regionalFormat()), "right"));
+    const minCell = td(describeDebtMinimum(d, regionalFormat()), "right");
+    if (d.dueDay) minCell.appendChild(fxNote(`due on day ${d.dueDay}`));
+    tr.appendChild(minCell);
+
+    const actions = document.createElement("td");
+    actions.className = "right actions";
+    const up = btn("↑", { "data-action": "move-debt", "data-id": d.id, "data-delta": "-1", "aria-label": "Move up" });
+    const down = btn("↓", { "data-action": "move-debt", "data-id": d.id, "data-delta": "1", "aria-label": "Move down" });
+    up.disabled = i === 0;
+    down.disabled = i === state.debts.length - 1;
+    actions.appendChild(up);
+    actions.appendChild(down);
+    actions.appendChild(btn("Edit", { "data-action": "edit-row", "data-id": d.id }));
+    actions.appendChild(btn("Remove", { "data-action": "delete-debt", "data-id": d.id }));
+    tr.appendChild(actions);
+
+    tbody.appendChild(tr);
+  });
+
+  const plan = snap.plan;
+  setText("kpiPayoffTime", plan.payoffLabel);
+
+  renderLumpSums();
+  renderStrategyComparison(snap);
+
+  const ptbody = $("payoffTbody");
+  clear(ptbody);
+
+  for (const r of plan.schedule.slice(0, 240)) {
+    const tr = document.createElement("tr");
+    if (r.notes.length) tr.className = "flagged";
+    tr.appendChild(td(String(r.month)));
+    tr.appendChild(td(formatMonth(r.date)));
+    tr.appendChild(td(r.target));
+    tr.appendChild(td(money(r.paid), "right"));
+    tr.appendChild(td(money(r.interest), "right"));
+    tr.appendChild(td(money(r.principal), "right"));
+    tr.appendChild(td(money(r.totalBalanceRemaining), "right"));
+    tr.appendChild(td(r.notes.join("; ")));
+    ptbody.appendChild(tr);
+  }
+}
+
+function renderLumpSums() {
+  const sel = $("lumpDebt");
+  const selected = state.debts.some(d => d.id === sel.value) ? sel.value : (state.debts[0]?.id || "");
+  fillSelect(sel, state.debts.map(d => [d.id, d.name]), selected);
+
+  const tbody = $("lumpTbody");
+  clear(tbody);
+  const thisMonth = currentMonthISO();
+  for (const d of state.debts) {
+    for (const l of [...d.lumpSums].sort((a, b) => a.month.localeCompare(b.month))) {
+      const tr = document.createElement("tr");
+      tr.appendChild(td(d.name));
+      tr.appendChild(td(l.month <= thisMonth ? `${formatMonth(l.month)} (not in plan)` : formatMonth(l.month)));
+      tr.appendChild(td(money(l.amount, d.currency), "right"));
+      tr.appendChild(td(l.note));
+      const actions = document.createElement("td");
+      actions.className = "right";
+      actions.appendChild(btn("Remove", { "data-action": "delete-lump", "data-id": l.id, "data-debt": d.id }));
+      tr.appendChild(actions);
+      tbody.appendChild(tr);
+    }
+  }
+}
+
+function renderStrategyComparison(snap) {
+  const { runs, bestKey } = snap.comparison;
+
+  const series = payoffSeries(runs, snap.debtTotal);
+  drawScreenChart("chartPayoff", 220, (ctx, w, h, theme) => drawPayoffChart(ctx, w, h, series, theme, state.payoff.strategy));
+
+  const tbody = $("compareTbody");
+  clear(tbody);
+  for (const r of runs) {
+    const tr = document.createElement("tr");
+    if (r.key === bestKey) tr.className = "best";
+    tr.appendChild(td(r.key === state.payoff.strategy ? `${r.label} (selected)` : r.label));
+    tr.appendChild(td(r.feasible ? `${r.plan.months} mo (${payoffDateLabel(r.plan.months, regionalFormat())})` : "Not feasible", "right"));
+    tr.appendChild(td(r.feasible ? money(r.plan.totalInterest) : "—", "right"));
+    tr.appendChild(td(r.feasible ? money(r.plan.totalPaid) : "—", "right"));
+    tr.appendChild(td(r.key === "minimums" ? "—" : (r.interestSaved === null ? "n/a" : money(r.interestSaved)), "right accent"));
+    tbody.appendChild(tr);
+  }
+
+  const thead = $("compareDebtThead");
+  clear(thead);
+  const htr = document.createElement("tr");
+  for (const h of ["Debt", ...runs.map(r => r.label.replace(/ \(.*$/, ""))]) {
+    const th = document.createElement("th");
+    th.textContent = h;
+    if (h !== "Debt") th.className = "right";
+    htr.appendChild(th);
+  }
+  thead.appendChild(htr);
+
+  const dbody = $("compareDebtTbody");
+  clear(dbody);
+  for (const d of state.debts) {
+    const tr = document.createElement("tr");
+    tr.appendChild(td(d.name));
+    for (const r of runs) {
+      const m = r.plan.debtPayoffMonths[d.id];
+      tr.appendChild(td(m === null || m === undefined ? "Never" : payoffDateLabel(m, regionalFormat()), "right"));
+    }
+    dbody.appendChild(tr);
+  }
+}
+
+let renderQueued = false;
+function scheduleRender() {
+  if (renderQueued) return;
+  renderQueued = true;
+  requestAnimationFrame(() => {
+    renderQueued = false;
+    renderAll();
+  });
+}
+
+function renderAll() {
+  const snap = computeSnapshot(state);
+  renderCategorySelects();
+  renderCurrencySelects();
+  renderCurrencySettings();
+  renderCategoryManager();
+  renderKPIs(snap);
+  renderExpensesTable();
+  renderSpendingTable();
+  renderBudgetVsActual(snap);
+  renderTrends();
+  renderCashFlow(snap);
+  renderGoals(snap);
+  renderRules();
+  renderRecurring();
+  renderDebtsTableAndPlan(snap);
+  renderHistoryButtons();
+  focusRowEditor();
+  saveThrottled();
+}
+
+/* ------------------------------ History (Undo / Redo) ------------------------------ */
+
+// User edits run through execute(command). Commands apply/revert themselves against the live `state`
+// and look up collections through getters, so they keep working after a snapshot restore replaces it.
+const HISTORY_LIMIT = 100;
+const MERGE_WINDOW_MS = 1500;
+const undoStack = [];
+const redoStack = [];
+let toastTimer = null;
+
+function cmdInsert(label, getList, item) {
+  return {
+    label,
+    apply() { getList().push(item); },
+    revert() { deleteById(getList(), item.id); }
+  };
+}
+
+function cmdRemove(label, getList, id) {
+  let item = null;
+  let index = -1;
+  return {
+    label,
+    apply() {
+      const list = getList();
+      index = list.findIndex(x => x.id === id);
+      if (index >= 0) [item] = list.splice(index, 1);
+      this.changed = index >= 0;
+    },
+    revert() { if (item) getList().splice(index, 0, item); }
+  };
+}
+
+function cmdMove(label, getList, id, delta) {
+  return {
+    label,
+    apply() { moveById(getList(), id, delta); },
+    revert() { moveById(getList(), id, -delta); }
+  };
+}
+
+function cmdUpdate(label, getList, id, next, mergeKey = "") {
+  // next: the updated fields. Consecutive updates with the same mergeKey (typing) collapse into one step.
+  // The record is replaced rather than edited in place, which is how the storage layer spots changed records.
+  let before = null;
+  const indexOf = () => getList().findIndex(x => x.id === id);
+  return {
+    label,
+    mergeKey,
+    next,
+    apply() {
+      const i = indexOf();
+      this.changed = i >= 0;
+      if (i < 0) return;
+      if (!before) before = getList()[i];
+      getList()[i] = { ...before, ...this.next };
+    },
+    revert() { const i = indexOf(); if (i >= 0 && before) getList()[i] = before; },
+    merge(cmd) { this.next = cmd.next; this.apply(); }
+  };
+}
+
+function cmdSet(label, getTarget, key, value, mergeKey = "") {
+  let previous;
+  let captured = false;
+  return {
+    label,
+    mergeKey,
+    value,
+    apply() {
+      const target = getTarget();
+      if (!captured) { previous = target[key]; captured = true; }
+      this.changed = previous !== this.value;
+      target[key] = this.value;
+    },
+    revert() { getTarget()[key] = previous; },
+    merge(cmd) { this.value = cmd.value; this.apply(); }
+  };
+}
+
+function cmdBatch(label, commands) {
+  return {
+    label,
+    changed: commands.length > 0,
+    apply() { for (const c of commands) c.apply(); },
+    revert() { for (const c of [...commands].reverse()) c.revert(); }
+  };
+}
+
+function cmdSnapshot(label, mutate) {
+  // For edits that touch many records (category merge, recurring posts, reset). mutate works on a copy of the
+  // state and may return a replacement state.
+  let before = "";
+  let after = "";
+  return {
+    label,
+    apply() {
+      if (after) {
+        state = { ...keepUnchangedRecords(JSON.parse(after), state), ledgerMonth: state.ledgerMonth };
+        return;
+      }
+      before = JSON.stringify(state);
+      const draft = JSON.parse(before);
+      after = JSON.stringify(mutate(draft) || draft);
+      state = keepUnchangedRecords(JSON.parse(after), state);
+      this.changed = after !== before;
+    },
+    revert() { state = { ...keepUnchangedRecords(JSON.parse(before), state), ledgerMonth: state.ledgerMonth }; }
+  };
+}
+
+function keepUnchangedRecords(next, prev) {
+  // Records that come out of a snapshot identical to the current ones keep their objects, so saving only
+  // rewrites what the command touched.
+  for (const kind of RECORD_KINDS) {
+    const current = new Map(prev[kind].map(r => [r.id, r]));
+    next[kind] = next[kind].map(r => {
+      const old = current.get(r.id);
+      return old && JSON.stringify(old) === JSON.stringify(r) ? old : r;
+    });
+  }
+  return next;
+}
+
+function execute(cmd) {
+  const last = undoStack[undoStack.length - 1];
+  const now = Date.now();
+  if (cmd.mergeKey && last && last.mergeKey === cmd.mergeKey && now - last.at < MERGE_WINDOW_MS && redoStack.length === 0) {
+    last.merge(cmd);
+    last.at = now;
+  } else {
+    cmd.apply();
+    if (cmd.changed === false) return false;
+    cmd.at = now;
+    undoStack.push(cmd);
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  }
+  redoStack.length = 0;
+  scheduleRender();
+  return true;
+}
+
+function undo() {
+  const cmd = undoStack.pop();
+  if (!cmd) return;
+  cmd.revert();
+  redoStack.push(cmd);
+  afterHistoryChange(`Undid: ${cmd.label}`);
+}
+
+function redo() {
+  const cmd = redoStack.pop();
+  if (!cmd) return;
+  cmd.apply();
+  cmd.at = 0; // never merge into a redone step
+  undoStack.push(cmd);
+  afterHistoryChange(`Redid: ${cmd.label}`);
+}
+
+function afterHistoryChange(message) {
+  renderSettingInputs();
+  if (importSession) renderImportMapping(); // the saved column mappings may have changed
+  showToast(message);
+  scheduleRender();
+}
+
+function renderHistoryButtons() {
+  const u = undoStack[undoStack.length - 1];
+  const r = redoStack[redoStack.length - 1];
+  $("btnUndo").disabled = !u;
+  $("btnRedo").disabled = !r;
+  $("btnUndo").title = u ? `Undo: ${u.label} (Ctrl+Z)` : "Nothing to undo";
+  $("btnRedo").title = r ? `Redo: ${r.label} (Ctrl+Shift+Z)` : "Nothing to redo";
+}
+
+function showToast(message, { undoable = false } = {}) {
+  setText("toastMsg", message);
+  $("toastUndo").hidden = !undoable;
+  $("toast").hidden = false;
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => { $("toast").hidden = true; }, 6000);
+}
+
+function removeWithUndo(label, getList, id) {
+  if (execute(cmdRemove(label, getList, id))) showToast(label, { undoable: true });
+}
+
+function isTextEntry(el) {
+  if (!el) return false;
+  if (el.tagName === "TEXTAREA" || el.isContentEditable) return true;
+  return el.tagName === "INPUT" && !["checkbox", "radio", "button", "file"].includes(el.type);
+}
+
+function onHistoryKeydown(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const key = e.key.toLowerCase();
+  if (key !== "z" && key !== "y") return;
+  // Text fields keep their native undo.
+  if (isTextEntry(e.target)) return;
+  e.preventDefault();
+  if (key === "y" || e.shiftKey) redo();
+  else undo();
+}
+
+/* ------------------------------ Mutations ------------------------------ */
+
+function addExpense() {
+  const name = $("expenseName").value.trim();
+  const category = $("expenseCategory").value;
+  const amount = num($("expenseAmount").value);
+  const dueDay = normalizeDayOfMonth($("expenseDueDay").value);
+
+  if (showFieldErrors({ name: "expenseName", amount: "expenseAmount" }, expenseErrors({ name, amount }))) return;
+
+  execute(cmdInsert(`Added expense "${name}"`, () => state.expenses, { id: uid("exp"), name, category, amount, dueDay }));
+  $("expenseName").value = "";
+  $("expenseAmount").value = "";
+  $("expenseDueDay").value = "";
+}
+
+function addSpending() {
+  const date = ($("spendDate").value || todayISO());
+  const type = $("spendType").value;
+  const amount = num($("spendAmount").value);
+  const currency = $("spendCurrency").value;
+
+  const errors = { ...spendingErrors({ date, amount }, regionalFormat()), ...fxErrors(currency, date, state) };
+  if (showFieldErrors({ date: "spendDate", amount: "spendAmount", currency: "spendCurrency" }, errors)) return;
+
+  const { txn } = ruledSpendDraft();
+  execute(cmdInsert(`Added ${type === "expense" ? "transaction" : TXN_TYPES[type].toLowerCase()} "${txn.description || txn.category}"`, () => state.spending, txn));
+  $("spendDesc").value = "";
+  $("spendAmount").value = "";
+  $("spendGoal").value = "";
+  spendCategoryPicked = false;
+  setText("spendRuleNote", "");
+}
+
+function addDebt() {
+  const name = $("debtName").value.trim();
+  const balance = num($("debtBalance").value);
+  const currency = $("debtCurrency").value;
+
+  const errors = { ...debtErrors({ name, balance }), ...fxErrors(currency, todayISO(), state) };
+  if (showFieldErrors({ name: "debtName", balance: "debtBalance", currency: "debtCurrency" }, errors)) return;
+
+  const debt = normalizeDebt({
+    name,
+    currency,
+    balance,
+    aprPct: $("debtApr").value,
+    minPayment: $("debtMin").value,
+    minMode: $("debtMinMode").value,
+    minPct: $("debtMinPct").value,
+    promoAprPct: $("debtPromoApr").value,
+    promoEndDate: $("debtPromoEnd").value,
+    dueDay: $("debtDueDay").value
+  });
+  execute(cmdInsert(`Added debt "${name}"`, () => state.debts, debt));
+  for (const id of ["debtName", "debtBalance", "debtApr", "debtMin", "debtMinPct", "debtPromoApr", "debtPromoEnd", "debtDueDay"]) $(id).value = "";
+  $("debtMinMode").value = "fixed";
+}
+
+function addLumpSum() {
+  const debt = state.debts.find(d => d.id === $("lumpDebt").value);
+  const month = $("lumpMonth").value;
+  const amount = num($("lumpAmount").value);
+  if (!debt) return;
+
+  if (showFieldErrors({ month: "lumpMonth", amount: "lumpAmount" }, lumpSumErrors({ month, amount }))) return;
+
+  const lump = { id: uid("lump"), month, amount, note: $("lumpNote").value.trim() };
+  execute(cmdUpdate(`Added lump sum for "${debt.name}"`, () => state.debts, debt.id, { lumpSums: [...debt.lumpSums, lump] }));
+  $("lumpAmount").value = "";
+  $("lumpNote").value = "";
+}
+
+function addIncomeSource() {
+  const n = state.income.sources.length + 1;
+  const src = normalizeIncomeSource({ name: `Income source ${n}`, frequency: "monthly" });
+  execute(cmdInsert(`Added income source "${src.name}"`, () => state.income.sources, src));
+}
+
+function onIncomeSourceInput(e) {
+  const field = e.target.getAttribute("data-field");
+  const tr = e.target.closest("tr[data-id]");
+  const src = tr && state.income.sources.find(x => x.id === tr.getAttribute("data-id"));
+  if (!field || !src) return;
+
+  const value = e.target.type === "checkbox" ? e.target.checked : e.target.value;
+  const next = normalizeIncomeSource({ ...src, [field]: value });
+  execute(cmdUpdate(`Edited income source "${src.name}"`, () => state.income.sources, src.id, next, `income:${src.id}:${field}`));
+}
+
+function addRecurring() {
+  const description = $("recDesc").value.trim();
+  const amount = num($("recAmount").value);
+  const startDate = $("recStart").value || todayISO();
+  const endDate = $("recEnd").value;
+
+  const errors = recurringErrors({ description, amount, startDate, endDate });
+  if (showFieldErrors({ description: "recDesc", amount: "recAmount", startDate: "recStart", endDate: "recEnd" }, errors)) return;
+
+  const tpl = normalizeRecurring({
+    description,
+    category: $("recCategory").value,
+    amount,
+    frequency: $("recFrequency").value,
+    dayOfMonth: $("recDay").value,
+    startDate,
+    endDate,
+    mode: $("recMode").value
+  });
+  execute(cmdSnapshot(`Added recurring "${description}"`, (s) => {
+    s.recurring.push(tpl);
+    processRecurring(s, todayISO());
+  }));
+
+  $("recDesc").value = "";
+  $("recAmount").value = "";
+  $("recDay").value = "";
+  $("recEnd").value = "";
+}
+
+function onRecurringAction(e) {
+  const b = e.target.closest("button[data-action]");
+  if (!b) return;
+  const tpl = state.recurring.find(r => r.id === b.getAttribute("data-id"));
+  if (!tpl) return;
+  const date = b.getAttribute("data-date");
+
+  switch (b.getAttribute("data-action")) {
+    case "post-recurring":
+      execute(cmdSnapshot(`Posted "${tpl.description}" for ${date}`, (s) => {
+        postRecurringOccurrence(s, s.recurring.find(r => r.id === tpl.id), date);
+      }));
+      break;
+    case "skip-recurring":
+      execute(cmdSnapshot(`Skipped "${tpl.description}" for ${date}`, (s) => {
+        skipRecurringOccurrence(s.recurring.find(r => r.id === tpl.id), date);
+      }));
+      break;
+    case "delete-recurring":
+      removeWithUndo(`Removed recurring "${tpl.description}"`, () => state.recurring, tpl.id);
+      break;
+  }
+}
+
+function addCategory() {
+  const name = $("categoryName").value.trim();
+  const group = $("categoryGroup").value.trim();
+
+  let msg = "";
+  if (!name) msg = "Name is required";
+  else if (findCategory(state.categories, name)) msg = `"${findCategory(state.categories, name).name}" already exists`;
+  setText("categoryStatus", msg);
+  if (msg) return;
+
+  execute(cmdInsert(`Added category "${name}"`, () => state.categories, normalizeCategory({ name, group })));
+  $("categoryName").value = "";
+  $("categoryGroup").value = "";
+}
+
+function onCategoryChange(e) {
+  const el = e.target;
+  const action = el.getAttribute("data-action");
+  const id = el.getAttribute("data-id");
+  const cat = state.categories.find(c => c.id === id);
+  if (!cat) return;
+
+  const update = (patch) => execute(cmdUpdate(`Edited category "${cat.name}"`, () => state.categories, id, { ...cat, ...patch }));
+
+  let msg = "";
+  if (action === "rename-category") {
+    const oldName = cat.name;
+    execute(cmdSnapshot(`Renamed category "${oldName}"`, (s) => { msg = renameCategory(s, id, el.value); }));
+    if (msg) el.value = oldName; // the row isn't rebuilt when nothing changed
+    if (!msg && importSession) {
+      for (const r of importSession.preview) if (r.txn.category === oldName) r.txn.category = el.value.trim();
+    }
+  } else if (action === "group-category") {
+    update({ group: el.value.trim() });
+  } else if (action === "rollover-category") {
+    update({ rollover: el.value });
+  } else if (action === "rollover-cap") {
+    update({ rolloverCap: Math.max(0, num(el.value)) });
+  } else if (action === "merge-category") {
+    const into = state.categories.find(c => c.id === el.value);
+    if (!into) return;
+    const count = [...state.expenses, ...state.spending.flatMap(spendingLines)].filter(r => r.category === cat.name).length;
+    const ok = confirm(`Merge "${cat.name}" into "${into.name}"? ${count} expense/transaction record(s) will be moved.`);
+    el.value = "";
+    if (ok) {
+      const fromName = cat.name;
+      execute(cmdSnapshot(`Merged "${fromName}" into "${into.name}"`, (s) => { msg = mergeCategory(s, id, into.id); }));
+      if (!msg && importSession) {
+        for (const r of importSession.preview) if (r.txn.category === fromName) r.txn.category = into.name;
+      }
+    }
+  }
+
+  setText("categoryStatus", msg);
+  scheduleRender();
+}
+
+function onCategoryClick(e) {
+  const b = e.target.closest("button[data-action]");
+  if (!b) return;
+  const id = b.getAttribute("data-id");
+  const cat = state.categories.find(c => c.id === id);
+  if (!cat) return;
+
+  if (b.getAttribute("data-action") === "move-category") {
+    execute(cmdMove(`Moved category "${cat.name}"`, () => state.categories, id, Number(b.getAttribute("data-delta"))));
+  } else if (b.getAttribute("data-action") === "archive-category" && cat.name !== FALLBACK_CATEGORY) {
+    const label = `${cat.archived ? "Restored" : "Archived"} category "${cat.name}"`;
+    execute(cmdUpdate(label, () => state.categories, id, { ...cat, archived: !cat.archived }));
+  }
+  setText("categoryStatus", "");
+  scheduleRender();
+}
+
+function deleteById(collection, id) {
+  const idx = collection.findIndex(x => x.id === id);
+  if (idx >= 0) collection.splice(idx, 1);
+}
+
+function moveById(collection, id, delta) {
+  const i = collection.findIndex(x => x.id === id);
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= collection.length) return;
+  const [item] = collection.splice(i, 1);
+  collection.splice(j, 0, item);
+}
+
+/* ------------------------------ Inline Editing (UI) ------------------------------ */
+
+// One row at a time is edited in place. The draft lives here (not in the DOM), so a re-render while typing
+// doesn't drop it. Saving goes through cmdUpdate, which keeps the record's id and its place in the list.
+let rowEdit = null; // { kind, id, draft: field -> input text, errors: field -> message, focus: field | "" }
+
+const EDIT_FIELDS = {
+  name: { type: "text", label: "Name" },
+  category: { type: "category", label: "Category" },
+  currency: { type: "currency", label: "Currency" },
+  type: { type: "select", label: "Type", options: Object.entries(TXN_TYPES) },
+  goalId: { type: "goal", label: "Savings goal" },
+  priority: { type: "select", label: "Priority", options: Object.entries(GOAL_PRIORITIES) },
+  targetAmount: { type: "number", label: "Target amount" },
+  targetDate: { type: "date", label: "Target date" },
+  startingBalance: { type: "number", label: "Starting balance" },
+  description: { type: "text", label: "Description" },
+  date: { type: "date", label: "Date" },
+  amount: { type: "number", label: "Amount" },
+  balance: { type: "number", label: "Balance" },
+  aprPct: { type: "number", label: "APR %" },
+  promoAprPct: { type: "number", label: "Promo APR %" },
+  promoEndDate: { type: "date", label: "Promo ends" },
+  minMode: { type: "select", label: "Minimum rule", options: [["fixed", "Fixed amount"], ["percent", "% of balance + interest"]] },
+  minPayment: { type: "number", label: "Minimum / floor" },
+  minPct: { type: "number", label: "Minimum % of balance" },
+  dueDay: { type: "number", label: "Due day (1–31)", step: "1", min: "1", max: "31" },
+  match: { type: "select", label: "Match", options: Object.entries(RULE_MATCH_MODES) },
+  pattern: { type: "text", label: "Description pattern" },
+  minAmount: { type: "number", label: "Min amount" },
+  maxAmount: { type: "number", label: "Max amount" },
+  dayFrom: { type: "number", label: "From day", step: "1", min: "1", max: "31" },
+  dayTo: { type: "number", label: "To day", step: "1", min: "1", max: "31" },
+  rename: { type: "text", label: "Rename to" }
+};
+
+// columns: the fields shown in each table cell. toRecord() turns a draft into { candidate, record }:
+// candidate is what the validator sees, record the normalized result that gets saved.
+const ROW_EDITORS = {
+  expenses: {
+    noun: "expense",
+    list: () => state.expenses,
+    columns: [["name"], ["category"], ["amount"], ["dueDay"]],
+    validate: expenseErrors,
+    toRecord(draft, rec) {
+      const candidate = { ...rec, name: draft.name.trim(), category: draft.category, amount: num(draft.amount), dueDay: normalizeDayOfMonth(draft.dueDay) };
+      return { candidate, record: candidate };
+    }
+  },
+  spending: {
+    noun: "transaction",
+    list: () => state.spending,
+    columns: [["date"], ["type", "category", "goalId"], ["description"], ["amount", "currency"]],
+    validate: t => ({ ...spendingErrors(t, regionalFormat()), ...fxErrors(t.currency, t.date, state) }),
+    // Split lines are edited in a second row under the transaction (see splitEditorRow). The amount and split lines
+    // are edited in the transaction's own currency and converted again on save.
+    extraDraft: rec => ({
+      amount: String(rec.fx ? rec.fx.amount : rec.amount),
+      currency: rec.fx ? rec.fx.currency : "",
+      splits: rec.splits.map(l => ({ id: l.id, category: l.category, amount: String(l.amount), memo: l.memo }))
+    }),
+    toRecord(draft, rec) {
+      const candidate = {
+        ...rec,
+        fx: null,
+        currency: draft.currency,
+        date: draft.date,
+        type: draft.type,
+        category: draft.category,
+        goalId: draft.goalId || null,
+        description: draft.description.trim(),
+        amount: num(draft.amount),
+        splits: draft.splits.map(l => ({ id: l.id, category: l.category, amount: num(l.amount), memo: l.memo.trim() }))
+      };
+      return { candidate, record: normalizeSpending(convertSpending(candidate, state)) };
+    },
+    afterSave: suggestRule
+  },
+  debts: {
+    noun: "debt",
+    list: () => state.debts,
+    columns: [["name"], ["balance", "currency"], ["aprPct", "promoAprPct", "promoEndDate"], ["minMode", "minPayment", "minPct", "dueDay"]],
+    validate: d => ({ ...debtErrors(d), ...fxErrors(d.currency, todayISO(), state) }),
+    toRecord(draft, rec) {
+      const candidate = {
+        ...rec,
+        name: draft.name.trim(),
+        currency: draft.currency,
+        balance: num(draft.balance),
+        aprPct: num(draft.aprPct),
+        promoAprPct: num(draft.promoAprPct),
+        promoEndDate: draft.promoEndDate,
+        minMode: draft.minMode,
+        minPayment: num(draft.minPayment),
+        minPct: num(draft.minPct),
+        dueDay: draft.dueDay
+      };
+      return { candidate, record: normalizeDebt(candidate) };
+    }
+  },
+  rules: {
+    noun: "rule",
+    list: () => state.rules,
+    columns: [["match", "pattern"], ["minAmount", "maxAmount"], ["dayFrom", "dayTo"], ["category"], ["rename"], []],
+    validate: ruleErrors,
+    toRecord(draft, rec) {
+      const record = normalizeRule({ ...rec, ...draft });
+      return { candidate: record, record };
+    }
+  },
+  goals: {
+    noun: "goal",
+    list: () => state.goals,
+    // Empty columns line up with the computed progress cells.
+    columns: [["name", "category"], ["priority"], ["targetAmount", "targetDate"], ["startingBalance"], [], [], [], []],
+    validate: goalErrors,
+    toRecord(draft, rec) {
+      const candidate = {
+        ...rec,
+        name: draft.name.trim(),
+        category: draft.category,
+        priority: draft.priority,
+        targetAmount: num(draft.targetAmount),
+        targetDate: draft.targetDate,
+        startingBalance: num(draft.startingBalance)
+      };
+      return { candidate, record: normalizeGoal(candidate) };
+    }
+  }
+};
+
+function isRowEditing(kind, id) {
+  return Boolean(rowEdit && rowEdit.kind === kind && rowEdit.id === id);
+}
+
+function startRowEdit(kind, id) {
+  const editor = ROW_EDITORS[kind];
+  const rec = editor.list().find(x => x.id === id);
+  if (!rec) return;
+  const fields = editor.columns.flat();
+  const draft = Object.fromEntries(fields.map(f => [f, rec[f] === undefined || rec[f] === null ? "" : String(rec[f])]));
+  if (editor.extraDraft) Object.assign(draft, editor.extraDraft(rec));
+  rowEdit = { kind, id, draft, errors: {}, focus: fields[0] };
+  scheduleRender();
+}
+
+function cancelRowEdit() {
+  rowEdit = null;
+  scheduleRender();
+}
+
+function saveRowEdit() {
+  const editor = ROW_EDITORS[rowEdit.kind];
+  const rec = editor.list().find(x => x.id === rowEdit.id);
+  if (!rec) return cancelRowEdit();
+
+  const { candidate, record } = editor.toRecord(rowEdit.draft, rec);
+  const errors = editor.validate(candidate);
+  if (Object.keys(errors).length) {
+    rowEdit.errors = errors;
+    rowEdit.focus = Object.keys(errors)[0];
+    return scheduleRender();
+  }
+
+  rowEdit = null;
+  const changed = Object.keys(record).some(k => JSON.stringify(record[k]) !== JSON.stringify(rec[k]));
+  if (!changed) return scheduleRender();
+  const noun = record.name || record.description || record.category;
+  if (execute(cmdUpdate(`Edited ${editor.noun} "${noun}"`, editor.list, rec.id, record)) && editor.afterSave) editor.afterSave(rec, record);
+}
+
+function rowEditorInput(field, value) {
+  const def = EDIT_FIELDS[field];
+  let el;
+  if (def.type === "category") {
+    el = document.createElement("select");
+    fillCategorySelect(el, value);
+  } else if (def.type === "currency") {
+    el = document.createElement("select");
+    fillCurrencySelect(el, value);
+  } else if (def.type === "goal") {
+    el = document.createElement("select");
+    fillGoalSelect(el, value);
+  } else if (def.type === "select") {
+    el = document.createElement("select");
+    fillSelect(el, def.options, value);
+  } else {
+    el = document.createElement("input");
+    el.type = def.type;
+    el.value = value;
+    if (def.type === "number") {
+      el.min = def.min || "0";
+      el.step = def.step || "0.01";
+      if (def.max) el.max = def.max;
+      el.inputMode = def.step === "1" ? "numeric" : "decimal";
+    }
+  }
+  el.setAttribute("data-field", field);
+  el.setAttribute("aria-label", def.label);
+  return el;
+}
+
+function rowEditor(kind, rec) {
+  const editor = ROW_EDITORS[kind];
+  const tr = document.createElement("tr");
+  tr.className = "editing";
+  tr.setAttribute("data-id", rec.id);
+
+  for (const fields of editor.columns) {
+    const cell = document.createElement("td");
+    if (fields.length > 1) cell.className = "edit-stack";
+    for (const field of fields) {
+      const el = rowEditorInput(field, rowEdit.draft[field]);
+      const error = rowEdit.errors[field];
+      el.classList.toggle("invalid", Boolean(error));
+      el.title = error || (fields.length > 1 ? EDIT_FIELDS[field].label : "");
+      if (fields.length > 1) el.placeholder = EDIT_FIELDS[field].label;
+      cell.appendChild(el);
+      if (error) {
+        const msg = document.createElement("div");
+        msg.className = "field-error";
+        msg.textContent = error;
+        cell.appendChild(msg);
+      }
+    }
+    tr.appendChild(cell);
+  }
+
+  const actions = document.createElement("td");
+  actions.className = "right actions";
+  const save = btn("Save", { "data-action": "save-row", "data-id": rec.id });
+  save.className = "btn";
+  actions.appendChild(save);
+  actions.appendChild(btn("Cancel", { "data-action": "cancel-row", "data-id": rec.id }));
+  tr.appendChild(actions);
+
+  const rows = document.createDocumentFragment();
+  rows.appendChild(tr);
+  if (kind === "spending") {
+    // A split transaction's category comes from its first line.
+    tr.querySelector('[data-field="category"]').disabled = rowEdit.draft.splits.length > 0;
+    rows.appendChild(splitEditorRow(editor.columns.length + 1));
+  }
+  return rows;
+}
+
+function splitRemainingText(draft) {
+  if (!draft.splits.length) return "";
+  const left = num(draft.amount) - draft.splits.reduce((a, l) => a + num(l.amount), 0);
+  return Math.abs(left) < 0.005 ? "Split lines match the total." : `${money(Math.abs(left))} ${left > 0 ? "left to assign" : "over the total"}.`;
+}
+
+function splitEditorRow(colspan) {
+  const tr = document.createElement("tr");
+  tr.className = "editing split-editor";
+  const cell = document.createElement("td");
+  cell.colSpan = colspan;
+
+  rowEdit.draft.splits.forEach((l, i) => {
+    const line = document.createElement("div");
+    line.className = "inline split-line";
+    const category = document.createElement("select");
+    fillCategorySelect(category, l.category);
+    const amount = document.createElement("input");
+    amount.type = "number";
+    amount.min = "0";
+    amount.step = "0.01";
+    amount.inputMode = "decimal";
+    amount.placeholder = "Amount";
+    amount.value = l.amount;
+    const memo = document.createElement("input");
+    memo.placeholder = "Memo (optional)";
+    memo.value = l.memo;
+    for (const [el, field, label] of [[category, "category", "Split category"], [amount, "amount", "Split amount"], [memo, "memo", "Split memo"]]) {
+      el.setAttribute("data-split", String(i));
+      el.setAttribute("data-split-field", field);
+      el.setAttribute("aria-label", `${label} ${i + 1}`);
+      line.appendChild(el);
+    }
+    line.appendChild(btn("Remove", { "data-action": "remove-split", "data-index": String(i) }));
+    cell.appendChild(line);
+  });
+
+  const footer = document.createElement("div");
+  footer.className = "split-footer";
+  footer.appendChild(btn(rowEdit.draft.splits.length ? "Add split line" : "Split across categories", { "data-action": "add-split" }));
+  const remaining = document.createElement("span");
+  remaining.className = "split-remaining muted";
+  remaining.textContent = splitRemainingText(rowEdit.draft);
+  footer.appendChild(remaining);
+  cell.appendChild(footer);
+
+  if (rowEdit.errors.splits) {
+    const msg = document.createElement("div");
+    msg.className = "field-error";
+    msg.textContent = rowEdit.errors.splits;
+    cell.appendChild(msg);
+  }
+  tr.appendChild(cell);
+  return tr;
+}
+
+function addSplitLine() {
+  const draft = rowEdit.draft;
+  if (!draft.splits.length) {
+    // Start from the whole amount on the current category plus an empty second line.
+    draft.splits.push({ id: uid("split"), category: draft.category, amount: draft.amount, memo: "" });
+  }
+  const left = num(draft.amount) - draft.splits.reduce((a, l) => a + num(l.amount), 0);
+  draft.splits.push({ id: uid("split"), category: draft.category, amount: left > 0.005 ? left.toFixed(2) : "", memo: "" });
+  scheduleRender();
+}
+
+function removeSplitLine(index) {
+  const draft = rowEdit.draft;
+  draft.splits.splice(index, 1);
+  if (draft.splits.length === 1) {
+    // One line left is the same as no split: it becomes the transaction's category.
+    draft.category = draft.splits[0].category;
+    draft.splits = [];
+  }
+  scheduleRender();
+}
+
+function focusRowEditor() {
+  // Runs after each render; only moves focus when an edit starts or a save was rejected.
+  if (!rowEdit || !rowEdit.focus) return;
+  const el = document.querySelector(`tr.editing [data-field="${rowEdit.focus}"]`);
+  rowEdit.focus = "";
+  if (el) {
+    el.focus();
+    if (el.select) el.select();
+  }
+}
+
+function wireRowEditing(tbodyId, kind) {
+  // Edit / Save / Cancel buttons, draft updates, Enter to save and Escape to cancel.
+  const tbody = $(tbodyId);
+  tbody.addEventListener("click", (e) => {
+    const b = e.target.closest("button[data-action]");
+    if (!b) return;
+    const action = b.getAttribute("data-action");
+    if (action === "edit-row") startRowEdit(kind, b.getAttribute("data-id"));
+    else if (action === "save-row" && rowEdit) saveRowEdit();
+    else if (action === "cancel-row") cancelRowEdit();
+    else if (action === "add-split" && rowEdit) addSplitLine();
+    else if (action === "remove-split" && rowEdit) removeSplitLine(Number(b.getAttribute("data-index")));
+  });
+  const onInput = (e) => {
+    if (!rowEdit || rowEdit.kind !== kind) return;
+    const field = e.target.getAttribute("data-field");
+    const splitField = e.target.getAttribute("data-split-field");
+    if (field) rowEdit.draft[field] = e.target.value;
+    if (splitField) rowEdit.draft.splits[Number(e.target.getAttribute("data-split"))][splitField] = e.target.value;
+    // The "left to assign" hint follows typing without a re-render (which would move the caret).
+    const remaining = tbody.querySelector(".split-remaining");
+    if (remaining && (splitField || field === "amount")) remaining.textContent = splitRemainingText(rowEdit.draft);
+  };
+  tbody.addEventListener("input", onInput);
+  tbody.addEventListener("change", onInput);
+  tbody.addEventListener("keydown", (e) => {
+    if (!rowEdit || rowEdit.kind !== kind || !e.target.closest("tr.editing")) return;
+    if (e.key === "Enter") {
+      e.preventDefault();
+      saveRowEdit();
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      cancelRowEdit();
+    }
+  });
+}
+
+/* ------------------------------ Statement Import (UI) ------------------------------ */
+
+let importSession = null; // { kind, fileName, csvRows, ofxEntries, profile, preview }
+
+async function openStatementFile(file) {
+  if (!file) return;
+  try {
+    const text = await file.text();
+    const kind = /\.(ofx|qfx)$/i.test(file.name) || /<OFX>/i.test(text) ? "ofx" : "csv";
+
+    importSession = { kind, fileName: file.name, csvRows: [], ofxEntries: [], profile: null, preview: [] };
+    if (kind === "csv") {
+      importSession.csvRows = parseCsv(text);
+      importSession.profile = guessImportProfile(importSession.csvRows[0]);
+    } else {
+      importSession.ofxEntries = parseOfx(text);
+    }
+    rebuildImportPreview();
+  } catch (err) {
+    closeImport();
+    $("importStatus").textContent = `${file.name} could not be read as a statement: ${err.message || err}`;
+    return;
+  }
+
+  renderImportPanel();
+  $("importStatus").textContent = "";
+  $("importCard").hidden = false;
+  $("importCard").scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+function rebuildImportPreview() {
+  const s = importSession;
+  const lines = s.kind === "csv"
+    ? csvRowsToStatementLines(s.csvRows, s.profile)
+    : ofxToStatementLines(s.ofxEntries);
+  s.preview = buildImportPreview(lines, state.spending, FALLBACK_CATEGORY, state.rules);
+}
+
+function closeImport() {
+  importSession = null;
+  $("importCard").hidden = true;
+  $("importFile").value = "";
+}
+
+function renderImportMapping() {
+  const s = importSession;
+  $("importMapping").hidden = s.kind !== "csv";
+  if (s.kind !== "csv") return;
+
+  const p = s.profile;
+  fillSelect($("importProfile"), [
+    ["", "Auto-detected from headers"],
+    ...state.importProfiles.map(x => [x.id, x.name])
+  ], state.importProfiles.some(x => x.id === p.id) ? p.id : "");
+
+  const width = s.csvRows.reduce((a, r) => Math.max(a, r.length), 0);
+  const header = s.csvRows[0] || [];
+  const columns = [[-1, "—"]];
+  for (let i = 0; i < width; i++) {
+    const h = p.hasHeader ? String(header[i] || "").trim() : "";
+    columns.push([i, h ? `${i + 1}: ${h}` : `Column ${i + 1}`]);
+  }
+
+  $("importHasHeader").checked = p.hasHeader;
+  fillSelect($("importDateCol"), columns, p.dateCol);
+  fillSelect($("importDescCol"), columns, p.descCol);
+  fillSelect($("importAmountCol"), columns, p.amountCol);
+  fillSelect($("importDebitCol"), columns, p.debitCol);
+  fillSelect($("importCreditCol"), columns, p.creditCol);
+  $("importDateFormat").value = p.dateFormat;
+  $("importAmountMode").value = p.amountMode;
+
+  for (const row of document.querySelectorAll("#importMapping [data-amount-mode]")) {
+    const mode = row.getAttribute("data-amount-mode");
+    row.hidden = (mode === "debit-credit") !== (p.amountMode === "debit-credit");
+  }
+}
+
+function renderImportSummary() {
+  const rows = importSession.preview;
+  const selected = rows.filter(r => r.include && !r.error).length;
+  const dupes = rows.filter(r => r.duplicate).length;
+  const errors = rows.filter(r => r.error).length;
+
+  $("importSummary").textContent =
+    `${rows.length} row(s) parsed · ${selected} selected · ${dupes} possible duplicate(s) · ${errors} rejected`;
+  $("btnCommitImport").textContent = `Import ${selected} transaction(s)`;
+  $("btnCommitImport").disabled = selected === 0;
+}
+
+function renderImportPanel() {
+  const s = importSession;
+  if (!s) return;
+
+  $("importFileName").textContent = `– ${s.fileName}`;
+  renderImportMapping();
+  fillCategorySelect($("importBulkCategory"), FALLBACK_CATEGORY);
+
+  const tbody = $("importTbody");
+  clear(tbody);
+
+  for (const r of s.preview) {
+    const tr = document.createElement("tr");
+
+    const includeCell = document.createElement("td");
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.checked = r.include;
+    cb.disabled = Boolean(r.error);
+    cb.setAttribute("data-index", String(r.index));
+    cb.setAttribute("aria-label", "Include row");
+    includeCell.appendChild(cb);
+    tr.appendChild(includeCell);
+
+    tr.appendChild(td(formatDate(r.txn.date)));
+    const descCell = td(r.txn.description);
+    if (r.rule) descCell.appendChild(fxNote(`rule: ${describeRule(r.rule, regionalFormat())}`));
+    tr.appendChild(descCell);
+
+    const typeCell = document.createElement("td");
+    const typeSel = document.createElement("select");
+    typeSel.setAttribute("data-index", String(r.index));
+    typeSel.setAttribute("data-field", "type");
+    typeSel.setAttribute("aria-label", "Type");
+    fillSelect(typeSel, Object.entries(TXN_TYPES), r.txn.type);
+    typeCell.appendChild(typeSel);
+    tr.appendChild(typeCell);
+
+    const catCell = document.createElement("td");
+    const sel = document.createElement("select");
+    sel.setAttribute("data-index", String(r.index));
+    sel.setAttribute("data-field", "category");
+    sel.setAttribute("aria-label", "Category");
+    fillCategorySelect(sel, r.txn.category);
+    catCell.appendChild(sel);
+    tr.appendChild(catCell);
+
+    tr.appendChild(td(Number.isFinite(r.txn.amount) ? money(r.txn.amount) : "—", "right"));
+
+    const statusCell = document.createElement("td");
+    const b = document.createElement("span");
+    if (r.error) { b.className = "badge over"; b.textContent = r.error; }
+    else if (r.duplicate) { b.className = "badge near"; b.textContent = "Duplicate"; }
+    else { b.className = "badge ok"; b.textContent = "New"; }
+    statusCell.appendChild(b);
+    tr.appendChild(statusCell);
+
+    tbody.appendChild(tr);
+  }
+
+  renderImportSummary();
+}
+
+function readImportMapping() {
+  const p = importSession.profile;
+  for (const el of document.querySelectorAll("#importMapping [data-map]")) {
+    const key = el.getAttribute("data-map");
+    if (el.type === "checkbox") p[key] = el.checked;
+    else if (key.endsWith("Col")) p[key] = Number(el.value);
+    else p[key] = el.value;
+  }
+}
+
+function saveImportProfile() {
+  const name = $("importProfileName").value.trim();
+  if (!name || !importSession) return;
+
+  const existing = state.importProfiles.find(p => p.name.toLowerCase() === name.toLowerCase());
+  const profile = normalizeImportProfile({ ...importSession.profile, id: existing?.id, name });
+  const list = () => state.importProfiles;
+  execute(existing
+    ? cmdUpdate(`Updated import profile "${name}"`, list, existing.id, profile)
+    : cmdInsert(`Saved import profile "${name}"`, list, profile));
+
+  importSession.profile = { ...profile };
+  $("importProfileName").value = "";
+  renderImportMapping();
+}
+
+function commitImport() {
+  if (!importSession) return;
+  const rows = importSession.preview.filter(r => r.include && !r.error);
+  const spending = () => state.spending;
+  execute(cmdBatch(
+    `Imported ${rows.length} transaction(s)`,
+    rows.map(r => cmdInsert("", spending, { ...r.txn, id: uid("txn") }))
+  ));
+
+  $("importStatus").textContent = `Imported ${rows.length} transaction(s) from ${importSession.fileName}.`;
+  closeImport();
+  scheduleRender();
+}
+
+function wireImport() {
+  $("importFile").addEventListener("change", e => { openStatementFile(e.target.files[0]); });
+
+  $("importProfile").addEventListener("change", e => {
+    const saved = state.importProfiles.find(p => p.id === e.target.value);
+    importSession.profile = saved ? { ...saved } : guessImportProfile(importSession.csvRows[0]);
+    rebuildImportPreview();
+    renderImportPanel();
+  });
+
+  for (const el of document.querySelectorAll("#importMapping [data-map]")) {
+    el.addEventListener("change", () => {
+      readImportMapping();
+      rebuildImportPreview();
+      renderImportPanel();
+    });
+  }
+
+  $("btnSaveImportProfile").addEventListener("click", saveImportProfile);
+
+  $("importTbody").addEventListener("change", (e) => {
+    const idx = Number(e.target.getAttribute("data-index"));
+    const row = importSession?.preview[idx];
+    if (!row) return;
+    if (e.target.type === "checkbox") row.include = e.target.checked;
+    else row.txn[e.target.getAttribute("data-field")] = e.target.value;
+    renderImportSummary();
+  });
+
+  $("btnImportBulkCategory").addEventListener("click", () => {
+    const category = $("importBulkCategory").value;
+    for (const r of importSession.preview) if (r.include && !r.error) r.txn.category = category;
+    renderImportPanel();
+  });
+
+  $("btnCommitImport").addEventListener("click", commitImport);
+  $("btnCancelImport").addEventListener("click", closeImport);
+}
+
+/* ------------------------------ Backup & Restore (UI) ------------------------------ */
+
+// { title, fileName, note, errors, incoming, mode } while a backup restore or workbook import is previewed
+let restoreSession = null;
+
+function exportBackup() {
+  const json = JSON.stringify(buildBackup(state, activeProfile().name), null, 2);
+  downloadFile(`${exportFileStem()}_backup_${todayISO()}.json`, json, "application/json");
+}
+
+async function openBackupFile(file) {
+  if (!file) return;
+  let text;
+  try {
+    text = await file.text();
+  } catch (err) {
+    openRestorePreview({ title: "Restore Backup", fileName: file.name, note: "", errors: [`The file could not be read: ${err.message || err}`], incoming: null });
+    return;
+  }
+  const parsed = parseBackup(text);
+  const source = parsed.profileName ? `Backup of the "${parsed.profileName}" profile` : "Backup";
+  const when = parsed.exportedAt ? ` exported ${new Date(parsed.exportedAt).toLocaleString()}` : "";
+  openRestorePreview({
+    title: "Restore Backup",
+    fileName: file.name,
+    note: parsed.state ? `${source}${when}; restoring into "${activeProfile().name}".` : "",
+    errors: parsed.errors,
+    incoming: parsed.state || null
+  });
+}
+
+async function openWorkbookFile(file) {
+  if (!file) return;
+  let sheets = null;
+  try {
+    const wb = XLSX.read(await file.arrayBuffer(), { type: "array" });
+    sheets = wb.SheetNames.map(name => ({
+      name,
+      rows: XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, raw: true, defval: "" })
+    }));
+  } catch {
+    // Falls through to the error below.
+  }
+
+  const result = sheets
+    ? workbookToState(sheets, state)
+    : { incoming: null, errors: ["The file could not be read as a spreadsheet."], notes: [] };
+  const skipped = result.incoming && result.errors.length ? ` Rows listed below were skipped.` : "";
+  openRestorePreview({
+    title: "Import Workbook",
+    fileName: file.name,
+    note: result.notes.length ? `Read ${result.notes.join("; ")}.${skipped}` : "",
+    errors: result.errors,
+    incoming: result.incoming
+  });
+}
+
+function openRestorePreview(session) {
+  // session.incoming is a migrated state (or null when the file was rejected; errors explain why).
+  restoreSession = { mode: "replace", ...session };
+  renderRestorePanel();
+  $("restoreCard").hidden = false;
+  $("restoreCard").scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+function closeRestore() {
+  restoreSession = null;
+  $("restoreCard").hidden = true;
+  $("restoreFile").value = "";
+  $("workbookFile").value = "";
+}
+
+function renderRestorePanel() {
+  const r = restoreSession;
+  setText("restoreTitle", r.title);
+  setText("restoreFileName", r.fileName);
+  setText("restoreNote", r.note);
+
+  const errors = $("restoreErrors");
+  clear(errors);
+  for (const msg of r.errors.slice(0, 20)) {
+    const li = document.createElement("li");
+    li.textContent = msg;
+    errors.appendChild(li);
+  }
+  if (r.errors.length > 20) {
+    const li = document.createElement("li");
+    li.textContent = `…and ${r.errors.length - 20} more problem(s).`;
+    errors.appendChild(li);
+  }
+  errors.hidden = r.errors.length === 0;
+
+  $("restoreDiff").hidden = !r.incoming;
+  $("btnApplyRestore").disabled = !r.incoming;
+  if (!r.incoming) return;
+
+  for (const el of document.querySelectorAll("input[name='restoreMode']")) el.checked = el.value === r.mode;
+
+  const diff = restoreDiff(state, r.incoming);
+  const tbody = $("restoreTbody");
+  clear(tbody);
+  for (const d of diff) {
+    const tr = document.createElement("tr");
+    tr.appendChild(td(d.label));
+    tr.appendChild(td(String(d.incoming), "right"));
+    tr.appendChild(td(String(d.added), "right"));
+    tr.appendChild(td(String(d.changed), "right"));
+    tr.appendChild(td(String(d.unchanged), "right"));
+    tr.appendChild(td(String(d.onlyHere), "right"));
+    tbody.appendChild(tr);
+  }
+
+  const total = (k) => diff.reduce((a, d) => a + d[k], 0);
+  setText("restoreSummary", r.mode === "merge"
+    ? `Merge adds ${total("added")} record(s) and replaces ${total("changed")} with the file's version. ` +
+      "Records only in this browser and your settings are kept."
+    : `Replace uses the file's records and settings. ${total("onlyHere")} record(s) that exist only in this browser will be removed.`);
+}
+
+function applyRestore() {
+  const r = restoreSession;
+  if (!r || !r.incoming) return;
+
+  const merge = r.mode === "merge";
+  const next = merge ? mergeStates(state, r.incoming) : JSON.parse(JSON.stringify(r.incoming));
+  execute(cmdSnapshot(`${merge ? "Merged" : "Restored"} ${r.fileName}`, () => {
+    processRecurring(next, todayISO());
+    return next;
+  }));
+  closeRestore();
+  renderSettingInputs();
+  showToast(`${merge ? "Merged" : "Restored"} ${r.fileName}`, { undoable: true });
+}
+
+function wireRestore() {
+  $("btnExportBackup").addEventListener("click", exportBackup);
+  $("btnRestoreBackup").addEventListener("click", () => $("restoreFile").click());
+  $("restoreFile").addEventListener("change", e => { openBackupFile(e.target.files[0]); });
+  $("btnImportWorkbook").addEventListener("click", () => $("workbookFile").click());
+  $("workbookFile").addEventListener("change", e => { openWorkbookFile(e.target.files[0]); });
+
+  for (const el of document.querySelectorAll("input[name='restoreMode']")) {
+    el.addEventListener("change", () => {
+      restoreSession.mode = el.value;
+      renderRestorePanel();
+    });
+  }
+
+  $("btnApplyRestore").addEventListener("click", applyRestore);
+  $("btnCancelRestore").addEventListener("click", closeRestore);
+}
+
+/* ------------------------------ Profiles (UI) ------------------------------ */
+
+function renderProfileBar() {
+  fillSelect($("profileSelect"), profiles.list.map(p => [p.id, p.name]), profiles.activeId);
+  $("btnDeleteProfile").disabled = profiles.list.length <= 1;
+}
+
+function clearSessionData() {
+  // Undo history, previews and toasts hold data of the profile being left (or locked).
+  undoStack.length = 0;
+  redoStack.length = 0;
+  if (importSession) closeImport();
+  if (restoreSession) closeRestore();
+  rowEdit = null;
+  ruleSuggestion = null;
+  spendCategoryPicked = false;
+  renderRuleSuggestion();
+  $("toast").hidden = true;
+  $("importStatus").textContent = "";
+  setText("spendRuleNote", "");
+  setText("rulesStatus", "");
+}
+
+async function previewLedgerMonth() {
+  // A few years of transactions take a moment to read, so the stored ledger month is listed first, read through
+  // the month index. Like any state shown while a profile loads, the preview is never saved; load() replaces it.
+  const profileId = profiles.activeId;
+  storageSession = null;
+  const preview = storage.readLedgerMonth && await storage.readLedgerMonth(profileId).catch(() => null);
+  if (!preview || profileId !== profiles.activeId || storageSession) return;
+  state = migrateState(preview.raw);
+  renderSpendingTable();
+}
+
+async function openActiveProfile() {
+  clearSessionData();
+  await previewLedgerMonth();
+  await load();
+  if (!lock || lock.key) processRecurring(state, todayISO());
+  renderProfileBar();
+  renderLockState();
+  renderInputs();
+  scheduleRender();
+}
+
+async function flushBeforeLeaving() {
+  // Leaving a profile whose last save failed would drop those changes, so ask first.
+  return (await save()) || confirm("The latest changes to this profile couldn't be saved and will be lost. Continue anyway?");
+}
+
+async function switchProfile(id) {
+  if (id === profiles.activeId || !profiles.list.some(p => p.id === id)) return;
+  if (!(await flushBeforeLeaving())) return renderProfileBar();
+  profiles.activeId = id;
+  saveProfiles();
+  await openActiveProfile();
+}
+
+async function addProfile(name, initialState) {
+  if (!(await flushBeforeLeaving())) return;
+  const profile = { id: uid("profile"), name: name.trim() };
+  try {
+    await storage.writeState(profile.id, initialState, trackStoredRecords(null));
+  } catch (err) {
+    setStorageError(storageErrorMessage(err));
+    return;
+  }
+  profiles.list.push(profile);
+  profiles.activeId = profile.id;
+  saveProfiles();
+  await openActiveProfile();
+}
+
+function askProfileName(message, suggested, exceptId) {
+  // Returns a valid name, or null when the prompt was cancelled.
+  let name = prompt(message, suggested);
+  while (name !== null) {
+    const err = profileNameError(name, exceptId);
+    if (!err) return name.trim();
+    name = prompt(`${err}. ${message}`, name);
+  }
+  return null;
+}
+
+function createProfile() {
+  const name = askProfileName("Name for the new profile:", "");
+  if (name !== null) addProfile(name, defaultState());
+}
+
+function duplicateProfile() {
+  const message = lock ? "Name for the copy (the copy is not locked; turn the lock on for it separately):" : "Name for the copy:";
+  const name = askProfileName(message, `${activeProfile().name} (copy)`);
+  if (name !== null) addProfile(name, JSON.parse(JSON.stringify(state)));
+}
+
+function renameProfile() {
+  const p = activeProfile();
+  const name = askProfileName("Rename profile:", p.name, p.id);
+  if (name === null) return;
+  p.name = name;
+  saveProfiles();
+  renderProfileBar();
+}
+
+async function deleteProfile() {
+  const p = activeProfile();
+  if (profiles.list.length <= 1) return;
+  if (!confirm(`Delete the "${p.name}" profile and all of its data? This can't be undone.`)) return;
+
+  storageSession = null; // no pending save may write the profile back
+  try {
+    await storage.remove(p.id);
+  } catch (err) {
+    setStorageError(storageErrorMessage(err));
+  }
+  profiles.list = profiles.list.filter(x => x.id !== p.id);
+  profiles.activeId = profiles.list[0].id;
+  saveProfiles();
+  await openActiveProfile();
+}
+
+/* ------------------------------ Currency & Locale (UI) ------------------------------ */
+
+function renderCurrencySettings() {
+  const base = state.regional.currency;
+  const sel = $("fxCurrency");
+  const options = CURRENCIES.filter(c => c !== base);
+  if ([...sel.options].map(o => o.value).join() !== options.join()) fillSelect(sel, options.map(c => [c, c]), options.includes(sel.value) ? sel.value : options[0]);
+  $("fxRate").placeholder = `${base} per unit`;
+
+  const used = new Map();
+  for (const t of state.spending) if (t.fx) used.set(t.fx.currency, (used.get(t.fx.currency) || 0) + 1);
+
+  const tbody = $("fxTbody");
+  clear(tbody);
+  for (const r of state.fxRates) {
+    const tr = document.createElement("tr");
+    tr.appendChild(td(r.currency));
+    tr.appendChild(td(formatDate(r.effectiveDate)));
+    tr.appendChild(td(`1 ${r.currency} = ${r.rate} ${base}`, "right"));
+    tr.appendChild(td(String(used.get(r.currency) || 0), "right"));
+    const actions = document.createElement("td");
+    actions.className = "right";
+    actions.appendChild(btn("Remove", { "data-action": "delete-fx-rate", "data-id": r.id }));
+    tr.appendChild(actions);
+    tbody.appendChild(tr);
+  }
+}
+
+function changeExchangeRates(label, mutate) {
+  // Rate table and base currency edits re-convert foreign transactions, all in one undoable step.
+  let changed = 0;
+  execute(cmdSnapshot(label, (s) => {
+    mutate(s);
+    changed = reconvertSpending(s);
+  }));
+  setText("fxStatus", changed ? `${changed} transaction(s) re-converted at the updated rates.` : "");
+}
+
+function addFxRate() {
+  const currency = $("fxCurrency").value;
+  const effectiveDate = $("fxDate").value || todayISO();
+  const rate = num($("fxRate").value);
+
+  const errors = {};
+  if (!isValidDateISO(effectiveDate)) errors.effectiveDate = "Invalid date";
+  if (!(rate > 0)) errors.rate = "Rate must be greater than 0";
+  if (showFieldErrors({ effectiveDate: "fxDate", rate: "fxRate" }, errors)) return;
+
+  changeExchangeRates(`Added ${currency} rate from ${effectiveDate}`, (s) => {
+    // One rate per currency and day: re-entering a day replaces it.
+    s.fxRates = sortFxRates([
+      ...s.fxRates.filter(r => r.currency !== currency || r.effectiveDate !== effectiveDate),
+      normalizeFxRate({ currency, effectiveDate, rate })
+    ]);
+  });
+  $("fxRate").value = "";
+}
+
+function setBaseCurrency(currency) {
+  if (currency === state.regional.currency) return;
+  changeExchangeRates(`Changed base currency to ${currency}`, (s) => {
+    s.regional.currency = currency;
+    // Rates are quoted in the base currency, so any for the new base no longer mean anything.
+    s.fxRates = s.fxRates.filter(r => r.currency !== currency);
+  });
+  setText("fxStatus", `Amounts already in the base currency keep their values, now in ${currency}. Check the exchange rates, which are quoted in the base currency.`);
+}
+
+function wireCurrencySettings() {
+  $("baseCurrency").addEventListener("change", e => { setBaseCurrency(e.target.value); });
+  $("displayLocale").addEventListener("change", e => { execute(cmdSet("Changed number and date format", () => state.regional, "locale", e.target.value)); });
+  $("btnAddFxRate").addEventListener("click", addFxRate);
+  $("fxRate").addEventListener("keydown", (e) => { if (e.key === "Enter") addFxRate(); });
+  $("fxTbody").addEventListener("click", (e) => {
+    const b = e.target.closest("button[data-action='delete-fx-rate']");
+    const rate = b && state.fxRates.find(r => r.id === b.getAttribute("data-id"));
+    if (!rate) return;
+    changeExchangeRates(`Removed ${rate.currency} rate from ${rate.effectiveDate}`, (s) => {
+      s.fxRates = s.fxRates.filter(r => r.id !== rate.id);
+    });
+  });
+}
+
+/* ------------------------------ Cash-Flow Calendar (UI) ------------------------------ */
+
+function describeUndated(undated) {
+  const parts = [
+    [undated.sources, "income source", "without a first payday"],
+    [undated.expenses, "planned expense", "without a due day"],
+    [undated.debts, "debt", "without a due day"]
+  ].filter(([n]) => n > 0).map(([n, noun, why]) => `${n} ${noun}${n === 1 ? "" : "s"} ${why}`);
+  return parts.length ? `Not in the forecast: ${parts.join(", ")}.` : "";
+}
+
+function renderCashFlow(snap) {
+  const f = snap.cashFlow;
+  const nextPay = f.days.flatMap(d => d.items).find(e => e.kind === "income");
+
+  setText("kpiCfLowest", money(f.lowest.balance));
+  setText("kpiCfLowestDate", `on ${formatDate(f.lowest.date)}`);
+  setText("kpiCfBelow", String(f.daysBelow));
+  setText("kpiCfEnding", money(f.ending));
+  setText("kpiCfEndingDate", `on ${formatDate(f.untilISO)}`);
+  setText("kpiCfNextPay", nextPay ? money(nextPay.amount) : "—");
+  setText("kpiCfNextPayDate", nextPay ? `${nextPay.label}, ${formatDate(nextPay.date)}` : "No paydays set");
+  setText("cfUndated", describeUndated(f.undated));
+
+  const alertsEl = $("cfAlerts");
+  clear(alertsEl);
+  if (!f.shortfalls.length) {
+    const a = document.createElement("div");
+    a.className = "alert";
+    a.textContent = `No days projected below ${money(f.floor)} in the next ${f.days.length} days.`;
+    alertsEl.appendChild(a);
+  }
+  for (const sf of f.shortfalls.slice(0, 4)) {
+    const div = document.createElement("div");
+    div.className = "alert over";
+    const badge = document.createElement("span");
+    badge.className = "badge over";
+    badge.textContent = "LOW";
+    const range = sf.start === sf.end ? formatDate(sf.start) : `${formatDate(sf.start)} – ${formatDate(sf.end)}`;
+    const text = document.createElement("span");
+    text.textContent = `${range}: projected below ${money(f.floor)}, down to ${money(sf.low.balance)} on ${formatDate(sf.low.date)}.`;
+    div.appendChild(badge);
+    div.appendChild(text);
+    alertsEl.appendChild(div);
+  }
+
+  // Calendar: weeks start on Sunday; blank cells pad the first week up to today.
+  const cal = $("cfCalendar");
+  clear(cal);
+  const weekday = new Intl.DateTimeFormat(regionalFormat().locale, { weekday: "short", timeZone: "UTC" });
+  const monthDay = new Intl.DateTimeFormat(regionalFormat().locale, { month: "short", day: "numeric", timeZone: "UTC" });
+  for (let i = 0; i < 7; i++) {
+    const head = document.createElement("div");
+    head.className = "cal-head";
+    head.textContent = weekday.format(new Date(Date.UTC(2023, 0, 1 + i))); // 2023-01-01 was a Sunday
+    cal.appendChild(head);
+  }
+  const lead = new Date(`${f.fromISO}T00:00:00Z`).getUTCDay();
+  for (let i = 0; i < lead; i++) {
+    const blank = document.createElement("div");
+    blank.className = "cal-day blank";
+    cal.appendChild(blank);
+  }
+  f.days.forEach((d, i) => {
+    const cell = document.createElement("div");
+    cell.className = `cal-day${d.belowFloor ? " below" : ""}${i === 0 ? " today" : ""}`;
+    const date = document.createElement("div");
+    date.className = "cal-date";
+    const day = Number(d.date.slice(8, 10));
+    date.textContent = i === 0 || day === 1 ? monthDay.format(new Date(`${d.date}T00:00:00Z`)) : String(day);
+    cell.appendChild(date);
+    for (const e of d.items) {
+      const item = document.createElement("div");
+      item.className = `cal-item ${e.amount >= 0 ? "in" : "out"}`;
+      item.textContent = `${e.amount >= 0 ? "+" : "−"}${money(Math.abs(e.amount))} ${e.label}`;
+      item.title = item.textContent;
+      cell.appendChild(item);
+    }
+    const balance = document.createElement("div");
+    balance.className = "cal-balance";
+    balance.textContent = money(d.balance);
+    cell.appendChild(balance);
+    cal.appendChild(cell);
+  });
+}
+
+function wireCashFlow() {
+  const cashFlow = () => state.cashFlow;
+  $("cfStart").addEventListener("input", e => {
+    execute(cmdSet("Changed starting balance", cashFlow, "startingBalance", num(e.target.value), "cfStart"));
+  });
+  $("cfFloor").addEventListener("input", e => {
+    execute(cmdSet("Changed low-balance floor", cashFlow, "floor", num(e.target.value), "cfFloor"));
+  });
+  $("cfDays").addEventListener("change", e => { execute(cmdSet("Changed forecast range", cashFlow, "days", Number(e.target.value))); });
+}
+
+/* ------------------------------ Categorization Rules (UI) ------------------------------ */
+
+let spendCategoryPicked = false; // the add form's category was chosen by hand, so rules leave it alone
+let ruleSuggestion = null; // { txnId, pattern, category, ruleId }: offered after a transaction is recategorized
+
+function describeRuleAmount(rule) {
+  if (rule.minAmount !== null && rule.maxAmount !== null) return `${money(rule.minAmount)} – ${money(rule.maxAmount)}`;
+  if (rule.minAmount !== null) return `≥ ${money(rule.minAmount)}`;
+  return rule.maxAmount !== null ? `≤ ${money(rule.maxAmount)}` : "Any";
+}
+
+function describeRuleDays(rule) {
+  if (rule.dayFrom === null && rule.dayTo === null) return "Any";
+  const from = rule.dayFrom ?? 1;
+  const to = rule.dayTo ?? rule.dayFrom;
+  return from === to ? String(from) : `${from}–${to}`;
+}
+
+function renderRules() {
+  // Matches: ledger transactions each rule files (the first matching rule wins), including ones it already
+  // renamed, whose new description no longer matches the pattern.
+  const counts = new Map();
+  for (const t of state.spending) {
+    const rule = applyRules(state.rules, t).rule || state.rules.find(r => r.rename && r.rename === t.description && r.category === t.category);
+    if (rule) counts.set(rule.id, (counts.get(rule.id) || 0) + 1);
+  }
+
+  const tbody = $("ruleTbody");
+  clear(tbody);
+  state.rules.forEach((r, i) => {
+    if (isRowEditing("rules", r.id)) {
+      tbody.appendChild(rowEditor("rules", r));
+      return;
+    }
+    const tr = document.createElement("tr");
+    tr.appendChild(td(r.pattern ? `${RULE_MATCH_MODES[r.match]} "${r.pattern}"` : "Any description"));
+    tr.appendChild(td(describeRuleAmount(r), "right"));
+    tr.appendChild(td(describeRuleDays(r), "right"));
+    tr.appendChild(td(r.category));
+    tr.appendChild(td(r.rename || "—"));
+    tr.appendChild(td(String(counts.get(r.id) || 0), "right"));
+
+    const actions = document.createElement("td");
+    actions.className = "right actions";
+    const up = btn("↑", { "data-action": "move-rule", "data-id": r.id, "data-delta": "-1", "aria-label": "Move up" });
+    const down = btn("↓", { "data-action": "move-rule", "data-id": r.id, "data-delta": "1", "aria-label": "Move down" });
+    up.disabled = i === 0;
+    down.disabled = i === state.rules.length - 1;
+    actions.appendChild(up);
+    actions.appendChild(down);
+    actions.appendChild(btn("Edit", { "data-action": "edit-row", "data-id": r.id }));
+    actions.appendChild(btn("Remove", { "data-action": "delete-rule", "data-id": r.id }));
+    tr.appendChild(actions);
+    tbody.appendChild(tr);
+  });
+
+  renderRuleSuggestion();
+}
+
+function readRuleForm() {
+  return normalizeRule({
+    match: $("ruleMatch").value,
+    pattern: $("rulePattern").value,
+    minAmount: $("ruleMin").value,
+    maxAmount: $("ruleMax").value,
+    dayFrom: $("ruleDayFrom").value,
+    dayTo: $("ruleDayTo").value,
+    category: $("ruleCategory").value,
+    rename: $("ruleRename").value
+  });
+}
+
+function addRule() {
+  const rule = readRuleForm();
+  const errors = ruleErrors(rule);
+  if (showFieldErrors({ pattern: "rulePattern", maxAmount: "ruleMax", dayTo: "ruleDayTo" }, errors)) return;
+
+  execute(cmdInsert(`Added rule for ${rule.category}`, () => state.rules, rule));
+  for (const id of ["rulePattern", "ruleMin", "ruleMax", "ruleDayFrom", "ruleDayTo", "ruleRename"]) $(id).value = "";
+}
+
+function applyRulesToLedger() {
+  const preview = { ...state, spending: state.spending.slice() };
+  const n = applyRulesToSpending(preview);
+  if (!n) {
+    setText("rulesStatus", "Every transaction already matches the rules.");
+    return;
+  }
+  if (!confirm(`Update the category or description of ${n} transaction(s) to match the rules?`)) return;
+  const label = `Applied rules to ${n} transaction(s)`;
+  if (execute(cmdSnapshot(label, (s) => { applyRulesToSpending(s); }))) showToast(label, { undoable: true });
+  setText("rulesStatus", "");
+}
+
+function ruledSpendDraft() {
+  // The add form's transaction converted to the base currency (rule amounts are in it) with the rules applied, or
+  // null while its currency has no rate for the date. A hand-picked category wins; the rule's rename still applies.
+  const date = $("spendDate").value || todayISO();
+  const currency = $("spendCurrency").value;
+  if (firstError(fxErrors(currency, date, state))) return null;
+  const candidate = normalizeSpending(convertSpending({
+    date,
+    type: $("spendType").value,
+    category: $("spendCategory").value,
+    description: $("spendDesc").value.trim(),
+    amount: num($("spendAmount").value),
+    currency,
+    goalId: $("spendGoal").value || null
+  }, state));
+  const { txn, rule } = applyRules(state.rules, candidate);
+  return { rule, txn: rule && spendCategoryPicked ? { ...txn, category: candidate.category } : txn };
+}
+
+function previewSpendRule() {
+  // Shows which rule the add form's transaction matches, and picks its category unless one was chosen by hand.
+  const rule = ruledSpendDraft()?.rule;
+  if (rule && !spendCategoryPicked) $("spendCategory").value = rule.category;
+  setText("spendRuleNote", rule ? `Rule: ${describeRule(rule, regionalFormat())} → ${rule.category}${rule.rename ? `, saved as "${rule.rename}"` : ""}` : "");
+}
+
+function suggestRule(before, after) {
+  // After a transaction moves to another category: offer a rule for its description, or to update the rule
+  // that filed it somewhere else.
+  if (before.category === after.category || after.splits.length) return;
+  const { rule } = applyRules(state.rules, after);
+  if (rule && rule.category === after.category) return;
+  const pattern = suggestRulePattern(after.description);
+  if (!pattern && !rule) return;
+  ruleSuggestion = { txnId: after.id, pattern, category: after.category, ruleId: rule ? rule.id : null };
+}
+
+function suggestedRule() {
+  const s = ruleSuggestion;
+  const existing = s.ruleId && state.rules.find(r => r.id === s.ruleId);
+  return existing ? { ...existing, category: s.category } : normalizeRule({ match: "contains", pattern: s.pattern, category: s.category });
+}
+
+function renderRuleSuggestion() {
+  const box = $("ruleSuggestion");
+  clear(box);
+  box.hidden = !ruleSuggestion;
+  if (!ruleSuggestion) return;
+
+  const rule = suggestedRule();
+  const updating = Boolean(ruleSuggestion.ruleId);
+  const others = state.spending.filter(t => t.id !== ruleSuggestion.txnId && !t.splits.length && ruleMatches(rule, t) && t.category !== rule.category).length;
+
+  const div = document.createElement("div");
+  div.className = "alert";
+  const text = document.createElement("span");
+  const scope = others ? ` ${others} other transaction(s) in the ledger will move too.` : "";
+  text.textContent = updating
+    ? `A rule (${describeRule(rule, regionalFormat())}) files this elsewhere. Send its matches to ${rule.category} instead?${scope}`
+    : `Always file transactions whose description contains "${rule.pattern}" under ${rule.category}?${scope}`;
+  div.appendChild(text);
+
+  const actions = document.createElement("span");
+  actions.className = "alert-actions";
+  actions.appendChild(btn(updating ? "Update rule" : "Create rule", { "data-action": "accept-rule" }));
+  actions.appendChild(btn("Dismiss", { "data-action": "dismiss-rule" }));
+  div.appendChild(actions);
+  box.appendChild(div);
+}
+
+function acceptRuleSuggestion() {
+  const rule = suggestedRule();
+  const updating = Boolean(ruleSuggestion.ruleId);
+  ruleSuggestion = null;
+  const label = updating ? `Updated rule for ${rule.category}` : `Added rule for "${rule.pattern}"`;
+  const cmd = cmdSnapshot(label, (s) => {
+    if (updating) s.rules = s.rules.map(r => (r.id === rule.id ? rule : r));
+    else s.rules.unshift(rule); // ahead of broader rules, so the correction sticks
+    // The rule's matches follow it; nothing else in the ledger changes.
+    for (const t of s.spending) {
+      if (!t.splits.length && ruleMatches(rule, t)) Object.assign(t, applyRules([rule], t).txn);
+    }
+  });
+  if (execute(cmd)) showToast(label, { undoable: true });
+}
+
+function wireRules() {
+  $("btnAddRule").addEventListener("click", addRule);
+  $("ruleRename").addEventListener("keydown", (e) => { if (e.key === "Enter") addRule(); });
+  $("btnApplyRules").addEventListener("click", applyRulesToLedger);
+  wireRowEditing("ruleTbody", "rules");
+  $("ruleTbody").addEventListener("click", (e) => {
+    const b = e.target.closest("button[data-action]");
+    const rule = b && state.rules.find(r => r.id === b.getAttribute("data-id"));
+    if (!rule) return;
+    if (b.getAttribute("data-action") === "delete-rule") {
+      removeWithUndo(`Removed rule for ${rule.category}`, () => state.rules, rule.id);
+    } else if (b.getAttribute("data-action") === "move-rule") {
+      execute(cmdMove(`Moved rule for ${rule.category}`, () => state.rules, rule.id, Number(b.getAttribute("data-delta"))));
+    }
+  });
+
+  // Add form: live rule preview; a hand-picked category wins over the rules until the next add.
+  for (const id of ["spendDesc", "spendAmount", "spendDate"]) $(id).addEventListener("input", previewSpendRule);
+  $("spendCurrency").addEventListener("change", previewSpendRule);
+  $("spendCategory").addEventListener("change", () => { spendCategoryPicked = true; });
+
+  $("ruleSuggestion").addEventListener("click", (e) => {
+    const b = e.target.closest("button[data-action]");
+    if (!b || !ruleSuggestion) return;
+    if (b.getAttribute("data-action") === "accept-rule") acceptRuleSuggestion();
+    else ruleSuggestion = null;
+    scheduleRender();
+  });
+}
 
-    const actions = document.createElement("td");
-    actions.className = "right";
-    actions.appendChild(btn("Remove", { "data-action": "delete-expense", "data-id": e.id }));
-    tr.appendChild(actions);
+/* ------------------------------ Savings Goals (UI) ------------------------------ */
 
-    tbody.appendChild(tr);
-  }
+let renderedGoalsKey = "";
+function renderGoalSelects() {
+  const key = state.goals.map(g => `${g.id}:${g.name}`).join("|");
+  if (key === renderedGoalsKey) return;
+  renderedGoalsKey = key;
+  const sel = $("spendGoal");
+  fillGoalSelect(sel, state.goals.some(g => g.id === sel.value) ? sel.value : "");
 }
 
-function renderSpendingTable() {
-  const tbody = $("spendTbody");
+function renderGoals(snap) {
+  renderGoalSelects();
+  const tbody = $("goalTbody");
   clear(tbody);
 
-  const monthTxns = spendingForMonth(state.spending, state.ledgerMonth)
-    .slice()
-    .sort((a, b) => (a.date || "").localeCompare(b.date || ""));
-
-  for (const t of monthTxns) {
+  const progress = snap.goals;
+  for (const p of progress) {
+    const g = p.goal;
+    if (isRowEditing("goals", g.id)) {
+      tbody.appendChild(rowEditor("goals", g));
+      continue;
+    }
     const tr = document.createElement("tr");
-    tr.appendChild(td(t.date));
-    tr.appendChild(td(t.category));
-    tr.appendChild(td(t.description));
-    tr.appendChild(td(money(t.amount), "right"));
+    const nameCell = td(g.name);
+    nameCell.appendChild(fxNote(g.category));
+    tr.appendChild(nameCell);
+    tr.appendChild(td(GOAL_PRIORITIES[g.priority]));
+    const targetCell = td(money(g.targetAmount), "right");
+    targetCell.appendChild(fxNote(`by ${formatDate(g.targetDate)}`));
+    tr.appendChild(targetCell);
+    const savedCell = td(money(p.saved), "right");
+    savedCell.appendChild(fxNote(`${p.pctDone.toFixed(0)}%`));
+    tr.appendChild(savedCell);
+    tr.appendChild(td(money(p.required), "right"));
+    tr.appendChild(td(p.pace ? money(p.pace) : "—", "right"));
+    tr.appendChild(td(p.projectedMonth ? formatMonth(p.projectedMonth) : "—"));
+    const statusCell = td("");
+    const badge = document.createElement("span");
+    badge.className = `badge ${p.status === "Reached" || p.status === "On track" ? "ok" : p.status === "Not started" ? "near" : "over"}`;
+    badge.textContent = p.status;
+    statusCell.appendChild(badge);
+    tr.appendChild(statusCell);
 
     const actions = document.createElement("td");
-    actions.className = "right";
-    actions.appendChild(btn("Remove", { "data-action": "delete-spending", "data-id": t.id }));
+    actions.className = "right actions";
+    actions.appendChild(btn("Edit", { "data-action": "edit-row", "data-id": g.id }));
+    actions.appendChild(btn("Remove", { "data-action": "delete-goal", "data-id": g.id }));
     tr.appendChild(actions);
-
     tbody.appendChild(tr);
   }
+
+  setText("kpiGoalsRequired", money(snap.goalsRequired));
+  setText("kpiGoalsOnTrack", `${snap.goalsOnTrack} of ${progress.length}`);
 }
 
-function renderBudgetVsActual() {
-  const tbody = $("bvaTbody");
-  const alertsEl = $("alerts");
-  clear(tbody);
-  clear(alertsEl);
+function addGoal() {
+  const goal = normalizeGoal({
+    name: $("goalName").value,
+    category: $("goalCategory").value,
+    targetAmount: $("goalTarget").value,
+    targetDate: $("goalDate").value,
+    startingBalance: $("goalStart").value,
+    priority: $("goalPriority").value
+  });
+  if (showFieldErrors({ name: "goalName", targetAmount: "goalTarget", targetDate: "goalDate" }, goalErrors(goal))) return;
 
-  const monthTxns = spendingForMonth(state.spending, state.ledgerMonth);
-  const { rows, alerts } = budgetVsActual(state.expenses, monthTxns);
+  execute(cmdInsert(`Added goal "${goal.name}"`, () => state.goals, goal));
+  for (const id of ["goalName", "goalTarget", "goalDate", "goalStart"]) $(id).value = "";
+}
 
-  // Alerts
-  if (alerts.length === 0) {
-    const a = document.createElement("div");
-    a.className = "alert";
-    a.textContent = "No alerts for this month based on your planned budget.";
-    alertsEl.appendChild(a);
-  } else {
-    for (const r of alerts.slice(0, 6)) {
-      const div = document.createElement("div");
-      div.className = `alert ${r.status === "Over" ? "over" : "near"}`;
+function removeGoal(goal) {
+  // Linked transactions stay in the ledger, just no longer attached to the goal.
+  const label = `Removed goal "${goal.name}"`;
+  const cmd = cmdSnapshot(label, (s) => {
+    s.goals = s.goals.filter(g => g.id !== goal.id);
+    for (const t of s.spending) if (t.goalId === goal.id) t.goalId = null;
+  });
+  if (execute(cmd)) showToast(label, { undoable: true });
+}
 
-      const badge = document.createElement("span");
-      badge.className = `badge ${r.status === "Over" ? "over" : "near"}`;
-      badge.textContent = r.status.toUpperCase();
+function wireGoals() {
+  $("btnAddGoal").addEventListener("click", addGoal);
+  $("goalStart").addEventListener("keydown", (e) => { if (e.key === "Enter") addGoal(); });
+  wireRowEditing("goalTbody", "goals");
+  $("goalTbody").addEventListener("click", (e) => {
+    const b = e.target.closest("button[data-action='delete-goal']");
+    const goal = b && state.goals.find(g => g.id === b.getAttribute("data-id"));
+    if (goal) removeGoal(goal);
+  });
+  // Picking a goal in the ledger form files it as a transfer under the goal's category.
+  $("spendGoal").addEventListener("change", (e) => {
+    const goal = state.goals.find(g => g.id === e.target.value);
+    if (!goal) return;
+    $("spendType").value = "transfer";
+    $("spendCategory").value = goal.category;
+    spendCategoryPicked = true;
+  });
+}
 
-      const text = document.createElement("span");
-      if (r.planned <= 0) {
-        text.textContent = `${r.category}: ${money(r.actual)} spent with no planned budget set.`;
-      } else if (r.status === "Over") {
-        text.textContent = `${r.category}: Over budget by ${money(r.actual - r.planned)} (planned ${money(r.planned)}, actual ${money(r.actual)}).`;
-      } else {
-        text.textContent = `${r.category}: ${r.pctUsed.toFixed(0)}% used (planned ${money(r.planned)}, actual ${money(r.actual)}).`;
-      }
+/* ------------------------------ Lock (UI) ------------------------------ */
 
-      div.appendChild(badge);
-      div.appendChild(text);
-      alertsEl.appendChild(div);
-    }
+let lastActivityAt = Date.now();
+
+function renderLockState() {
+  const locked = Boolean(lock && !lock.key);
+  document.body.classList.toggle("locked", locked);
+  $("lockScreen").hidden = !locked;
+  setText("lockProfileName", `(${activeProfile().name})`);
+  if (locked) {
+    $("unlockPass").value = "";
+    setText("unlockError", "");
   }
 
-  // Table
-  for (const r of rows) {
-    const tr = document.createElement("tr");
-    tr.appendChild(td(r.category));
-    tr.appendChild(td(money(r.planned), "right"));
-    tr.appendChild(td(money(r.actual), "right"));
-    tr.appendChild(td(money(r.remaining), "right"));
-    tr.appendChild(td(`${r.pctUsed.toFixed(0)}%`, "right"));
+  $("lockEnableForm").hidden = Boolean(lock);
+  $("lockManage").hidden = !lock;
+  setText("lockStatus", lock
+    ? "This profile is encrypted. It is saved only in encrypted form and asks for the passphrase when opened."
+    : "This profile is saved unencrypted in this browser. Set a passphrase to encrypt it.");
+  if (lock) fillSelect($("autoLockMinutes"), Object.entries(AUTO_LOCK_OPTIONS), lock.autoLockMinutes);
+}
 
-    const statusCell = document.createElement("td");
-    const b = document.createElement("span");
-    const badgeClass = r.status === "Over" ? "over" : (r.status === "Near" ? "near" : "ok");
-    b.className = `badge ${badgeClass}`;
-    b.textContent = r.status;
-    statusCell.appendChild(b);
+function lockMessage(text, isError = false) {
+  setText("lockMessage", text);
+  $("lockMessage").classList.toggle("error", isError);
+}
 
-    tr.appendChild(statusCell);
-    tbody.appendChild(tr);
-  }
+function passphraseError(pass, confirmPass) {
+  if (pass.length < 8) return "Use a passphrase of at least 8 characters";
+  if (pass !== confirmPass) return "The passphrases don't match";
+  return "";
 }
 
-function renderDebtsTableAndPlan() {
-  const tbody = $("debtTbody");
-  clear(tbody);
+async function verifyPassphrase(pass) {
+  // Checks the passphrase against what is stored, after flushing pending edits so nothing is lost.
+  await save();
+  const envelope = (await readStoredProfile(profiles.activeId).catch(() => null))?.envelope;
+  if (!envelope) return false;
+  try {
+    await openLockEnvelope(envelope, pass);
+    return true;
+  } catch {
+    return false;
+  }
+}
 
-  for (const d of state.debts) {
-    const tr = document.createElement("tr");
-    tr.appendChild(td(d.name));
-    tr.appendChild(td(money(d.balance), "right"));
-    tr.appendChild(td(`${num(d.aprPct).toFixed(2)}%`, "right"));
-    tr.appendChild(td(money(d.minPayment), "right"));
+async function unlock() {
+  const envelope = (await readStoredProfile(profiles.activeId).catch(() => null))?.envelope;
+  if (!envelope) return openActiveProfile();
+
+  $("btnUnlock").disabled = true;
+  try {
+    const opened = await openLockEnvelope(envelope, $("unlockPass").value);
+    lock = opened.lock;
+    state = migrateState(safeParseJSON(opened.plaintext));
+  } catch {
+    // Wrong passphrase: nothing is written, the ciphertext stays as it was.
+    setText("unlockError", "Wrong passphrase.");
+    $("unlockPass").select();
+    return;
+  } finally {
+    $("btnUnlock").disabled = false;
+  }
 
-    const actions = document.createElement("td");
-    actions.className = "right";
-    actions.appendChild(btn("Remove", { "data-action": "delete-debt", "data-id": d.id }));
-    tr.appendChild(actions);
+  lastActivityAt = Date.now();
+  processRecurring(state, todayISO());
+  renderLockState();
+  renderInputs();
+  scheduleRender();
+}
 
-    tbody.appendChild(tr);
-  }
+async function lockNow() {
+  if (!lock || !lock.key) return;
+  await save();
+  lock = { ...lock, key: null };
+  state = defaultState();
+  clearSessionData();
+  renderLockState();
+  renderInputs();
+  scheduleRender();
+}
 
-  const plan = buildPayoffPlan(state.debts, state.payoff.strategy, state.payoff.extraPayment);
-  setText("kpiPayoffTime", plan.payoffLabel);
+async function replaceLock(next) {
+  // Saves the profile under the new lock (null = unencrypted); if that fails the old lock stays in effect, since
+  // it still matches what is stored.
+  const previous = lock;
+  lock = next;
+  if (await save()) return;
+  lock = previous;
+  throw new Error("the profile couldn't be saved");
+}
 
-  const ptbody = $("payoffTbody");
-  clear(ptbody);
+async function enableLock() {
+  const pass = $("lockNewPass").value;
+  const err = passphraseError(pass, $("lockNewPass2").value);
+  if (err) return lockMessage(err, true);
 
-  for (const r of plan.schedule.slice(0, 240)) {
-    const tr = document.createElement("tr");
-    tr.appendChild(td(String(r.month)));
-    tr.appendChild(td(r.target));
-    tr.appendChild(td(money(r.paid), "right"));
-    tr.appendChild(td(money(r.interest), "right"));
-    tr.appendChild(td(money(r.principal), "right"));
-    tr.appendChild(td(money(r.totalBalanceRemaining), "right"));
-    ptbody.appendChild(tr);
+  try {
+    await replaceLock(await createLock(pass));
+  } catch (e) {
+    return lockMessage(`Couldn't turn the lock on: ${e.message || e}`, true);
   }
+  $("lockNewPass").value = "";
+  $("lockNewPass2").value = "";
+  lockMessage("Lock turned on. Keep the passphrase safe: without it the data can't be recovered.");
+  renderLockState();
 }
 
-let renderQueued = false;
-function scheduleRender() {
-  if (renderQueued) return;
-  renderQueued = true;
-  requestAnimationFrame(() => {
-    renderQueued = false;
-    renderAll();
-  });
+async function changePassphrase() {
+  const next = $("lockChangeNew").value;
+  const err = passphraseError(next, $("lockChangeNew2").value);
+  if (err) return lockMessage(err, true);
+  if (!(await verifyPassphrase($("lockChangeCurrent").value))) return lockMessage("The current passphrase is wrong", true);
+
+  try {
+    await replaceLock(await createLock(next, lock.autoLockMinutes));
+  } catch (e) {
+    return lockMessage(`Couldn't change the passphrase: ${e.message || e}`, true);
+  }
+  for (const id of ["lockChangeCurrent", "lockChangeNew", "lockChangeNew2"]) $(id).value = "";
+  lockMessage("Passphrase changed.");
 }
 
-function renderAll() {
-  renderKPIs();
-  renderExpensesTable();
-  renderSpendingTable();
-  renderBudgetVsActual();
-  renderDebtsTableAndPlan();
-  saveThrottled();
+async function disableLock() {
+  if (!(await verifyPassphrase($("lockDisableCurrent").value))) return lockMessage("The passphrase is wrong", true);
+  try {
+    await replaceLock(null);
+  } catch (e) {
+    return lockMessage(`Couldn't turn the lock off: ${e.message || e}`, true);
+  }
+  $("lockDisableCurrent").value = "";
+  lockMessage("Lock turned off. This profile is saved unencrypted again.");
+  renderLockState();
 }
 
-/* ------------------------------ Mutations ------------------------------ */
+function checkAutoLock() {
+  if (lock && lock.key && lock.autoLockMinutes > 0 && Date.now() - lastActivityAt > lock.autoLockMinutes * 60000) lockNow();
+}
 
-function addExpense() {
-  const name = $("expenseName").value.trim();
-  const category = $("expenseCategory").value;
-  const amount = num($("expenseAmount").value);
+function wireLock() {
+  $("btnUnlock").addEventListener("click", unlock);
+  $("unlockPass").addEventListener("keydown", (e) => { if (e.key === "Enter") unlock(); });
+  $("btnEnableLock").addEventListener("click", enableLock);
+  $("btnLockNow").addEventListener("click", lockNow);
+  $("btnChangePassphrase").addEventListener("click", changePassphrase);
+  $("btnDisableLock").addEventListener("click", disableLock);
+  $("autoLockMinutes").addEventListener("change", e => {
+    lock.autoLockMinutes = Number(e.target.value);
+    save();
+  });
 
-  if (!name || amount <= 0) return;
+  for (const type of ["pointerdown", "keydown", "input", "wheel"]) {
+    document.addEventListener(type, () => { lastActivityAt = Date.now(); }, { passive: true, capture: true });
+  }
+  setInterval(checkAutoLock, 15000);
+}
 
-  state.expenses.push({ id: uid("exp"), name, category, amount });
-  $("expenseName").value = "";
-  $("expenseAmount").value = "";
-  scheduleRender();
+function wireProfiles() {
+  $("profileSelect").addEventListener("change", e => switchProfile(e.target.value));
+  $("btnNewProfile").addEventListener("click", createProfile);
+  $("btnDuplicateProfile").addEventListener("click", duplicateProfile);
+  $("btnRenameProfile").addEventListener("click", renameProfile);
+  $("btnDeleteProfile").addEventListener("click", deleteProfile);
 }
 
-function addSpending() {
-  const date = ($("spendDate").value || todayISO());
-  const category = $("spendCategory").value;
-  const description = $("spendDesc").value.trim();
-  const amount = num($("spendAmount").value);
+/* ------------------------------ Storage Status (UI) ------------------------------ */
 
-  if (amount <= 0) return;
+let storageError = "";
 
-  state.spending.push({ id: uid("txn"), date, category, description, amount });
-  $("spendDesc").value = "";
-  $("spendAmount").value = "";
-  scheduleRender();
+function setStorageError(message) {
+  if (message === storageError) return;
+  storageError = message;
+  renderStorageStatus();
 }
 
-function addDebt() {
-  const name = $("debtName").value.trim();
-  const balance = num($("debtBalance").value);
-  const aprPct = Math.max(0, num($("debtApr").value));
-  const minPayment = Math.max(0, num($("debtMin").value));
-
-  if (!name || balance <= 0) return;
-
-  state.debts.push({ id: uid("debt"), name, balance, aprPct, minPayment });
-  $("debtName").value = "";
-  $("debtBalance").value = "";
-  $("debtApr").value = "";
-  $("debtMin").value = "";
-  scheduleRender();
+function renderStorageStatus() {
+  $("storageBanner").hidden = !storageError;
+  setText("storageBannerMsg", storageError);
+  setText("storageStatus", storage === localStorageBackend
+    ? "Data is saved in this browser's localStorage (IndexedDB isn't available here), which holds less."
+    : "Data is saved in this browser's IndexedDB; only changed records are written.");
 }
 
-function deleteById(collection, id) {
-  const idx = collection.findIndex(x => x.id === id);
-  if (idx >= 0) collection.splice(idx, 1);
+function retryStorage() {
+  // A failed load never opened a session, so retry the load; otherwise retry the save.
+  if (storageSession) save();
+  else openActiveProfile();
 }
 
 /* ------------------------------ Exports ------------------------------ */
@@ -616,18 +4394,8 @@ async function exportPdf() {
   const { jsPDF } = window.jspdf;
   const doc = new jsPDF({ unit: "pt", format: "letter" });
 
-  const inc = calcIncomeMonthly(state.income);
-  const plannedTotal = sumPlannedExpenses(state.expenses);
-  const monthTxns = spendingForMonth(state.spending, state.ledgerMonth);
-  const actualTotal = sumSpending(monthTxns);
-
-  const cashLeft = inc.monthlyNet - plannedTotal;
-  const variance = plannedTotal - actualTotal;
-
-  const debtTotal = state.debts.reduce((a, d) => a + num(d.balance), 0);
-  const plan = buildPayoffPlan(state.debts, state.payoff.strategy, state.payoff.extraPayment);
-
-  const bva = budgetVsActual(state.expenses, monthTxns);
+  const snap = computeSnapshot(state);
+  const { income: inc, monthTxns, plan, budget: bva, envelope, goals, cashFlow, comparison } = snap;
 
   doc.setFont("helvetica", "bold");
   doc.setFontSize(16);
@@ -635,21 +4403,29 @@ async function exportPdf() {
 
   doc.setFont("helvetica", "normal");
   doc.setFontSize(10);
-  doc.text(`Generated: ${new Date().toLocaleString()}`, 40, 68);
-  doc.text(`Ledger Month: ${state.ledgerMonth}`, 40, 82);
+  doc.text(`Generated: ${new Date().toLocaleString(regionalFormat().locale)}`, 40, 68);
+  doc.text(`Ledger Month: ${formatMonth(state.ledgerMonth)} · Amounts in ${state.regional.currency}`, 40, 82);
+  doc.text(`Profile: ${activeProfile().name}`, 40, 96);
 
   doc.setFontSize(12);
   doc.text("Summary", 40, 108);
 
   const summaryRows = [
+    ["Budget Mode", envelope ? "Envelope (rollover)" : "Standard"],
     ["Monthly Gross (est.)", money(inc.monthlyGross)],
     ["Monthly Take-Home (est.)", money(inc.monthlyNet)],
-    ["Planned Expenses", money(plannedTotal)],
-    ["Actual Spending (ledger)", money(actualTotal)],
-    ["Variance (Planned − Actual)", money(variance)],
-    ["Cash Left (Net − Planned)", money(cashLeft)],
-    ["Total Debt", money(debtTotal)],
-    ["Debt Strategy", state.payoff.strategy],
+    ["Planned Expenses", money(snap.plannedTotal)],
+    ["Actual Spending (ledger)", money(snap.actualTotal)],
+    ["Variance (Planned − Actual)", money(snap.variance)],
+    ["Actual Income (ledger)", money(snap.actualIncome)],
+    ["Income vs Estimate (Actual − Net)", money(snap.incomeVariance)],
+    ["Cash Left (Net − Planned)", money(snap.cashLeft)],
+    ["Goal Contributions Required (monthly)", money(snap.goalsRequired)],
+    ["Savings Goals On Track", `${snap.goalsOnTrack} of ${goals.length}`],
+    [`Lowest Projected Balance (next ${cashFlow.days.length} days)`, `${money(cashFlow.lowest.balance)} on ${formatDate(cashFlow.lowest.date)}`],
+    [`Days Below ${money(cashFlow.floor)}`, String(cashFlow.daysBelow)],
+    ["Total Debt", money(snap.debtTotal)],
+    ["Debt Strategy", PAYOFF_STRATEGIES[state.payoff.strategy]],
     ["Extra Monthly Debt Payment", money(state.payoff.extraPayment)],
     ["Estimated Payoff Time", plan.payoffLabel]
   ];
@@ -664,31 +4440,76 @@ async function exportPdf() {
 
   let y = doc.lastAutoTable.finalY + 16;
 
+  // Charts are the on-screen ones redrawn for paper, full width, starting a new page when they don't fit.
+  const addChart = (title, height, draw) => {
+    const image = chartImage(530, height, draw);
+    if (!image) return;
+    if (y + height + 24 > doc.internal.pageSize.getHeight() - 40) {
+      doc.addPage();
+      y = 50;
+    }
+    doc.setFontSize(12);
+    doc.text(title, 40, y);
+    doc.addImage(image, "PNG", 40, y + 8, 530, height);
+    y += height + 24;
+  };
+
+  doc.setFontSize(12);
+  doc.text("Income Sources", 40, y);
+  y += 8;
+
+  doc.autoTable({
+    startY: y,
+    head: [["Source", "Frequency", "Taxable", "Monthly Gross", "Taxes", "Deductions", "Take-Home"]],
+    body: [
+      ...inc.sources.map(x => [x.name, PAY_FREQUENCIES[x.frequency], x.taxable ? "Yes" : "No",
+        money(x.monthlyGross), money(x.taxes), money(x.deductions), money(x.monthlyNet)]),
+      ["Total", "", "", money(inc.monthlyGross), money(inc.taxes), money(inc.deductions), money(inc.monthlyNet)]
+    ],
+    styles: { fontSize: 9 },
+    headStyles: { fillColor: [20, 22, 29] }
+  });
+
+  y = doc.lastAutoTable.finalY + 16;
+
   doc.setFontSize(12);
   doc.text("Planned Expenses", 40, y);
   y += 8;
 
   doc.autoTable({
     startY: y,
-    head: [["Name", "Category", "Amount"]],
-    body: state.expenses.map(e => [e.name, e.category, money(e.amount)]),
+    head: [["Name", "Category", "Group", "Amount"]],
+    body: snap.planned.map(e => [e.name, e.category, findCategory(state.categories, e.category)?.group || "", money(e.amount)]),
     styles: { fontSize: 9 },
     headStyles: { fillColor: [20, 22, 29] }
   });
 
   y = doc.lastAutoTable.finalY + 16;
 
+  // The ledger table follows the on-screen filter and sort when "Use this filter" is ticked.
+  const scoped = ledgerView.exportScope && ledgerFilterActive(ledgerView.filter);
+  const ledgerTxns = scoped ? ledgerViewTxns() : sortLedger(monthTxns, "date", "asc");
+
   doc.setFontSize(12);
-  doc.text(`Actual Spending (Ledger: ${state.ledgerMonth})`, 40, y);
+  doc.text(scoped ? "Transactions (filtered)" : `Actual Spending (Ledger: ${state.ledgerMonth})`, 40, y);
   y += 8;
+  if (scoped) {
+    doc.setFontSize(9);
+    doc.text(doc.splitTextToSize(`Filter: ${describeLedgerFilter(ledgerView.filter, state.ledgerMonth, regionalFormat())}`, 530), 40, y + 4);
+    y += 16;
+  }
 
   doc.autoTable({
     startY: y,
-    head: [["Date", "Category", "Description", "Amount"]],
-    body: monthTxns
-      .slice()
-      .sort((a, b) => (a.date || "").localeCompare(b.date || ""))
-      .map(t => [t.date, t.category, t.description, money(t.amount)]),
+    head: [["Date", "Type", "Category", "Description", "Amount", "Original"]],
+    body: [
+      ...ledgerTxns.flatMap(t => [
+        [formatDate(t.date), TXN_TYPES[t.type], t.splits.length ? "Split" : t.category, t.description,
+          money(t.type === "refund" ? -t.amount : t.amount), t.fx ? `${money(t.fx.amount, t.fx.currency)} @ ${t.fx.rate}` : ""],
+        ...spendingLines(t).filter(l => l !== t).map(l => ["", "", `   – ${l.category}`, l.memo, money(l.amount), ""])
+      ]),
+      ...(scoped ? [["Total", "", "", `${ledgerTxns.length} transaction(s)`, money(ledgerFilterTotal(ledgerTxns, ledgerView.filter)), ""]] : [])
+    ],
     styles: { fontSize: 9 },
     headStyles: { fillColor: [20, 22, 29] }
   });
@@ -696,15 +4517,18 @@ async function exportPdf() {
   y = doc.lastAutoTable.finalY + 16;
 
   doc.setFontSize(12);
-  doc.text("Budget vs Actual (by category)", 40, y);
+  doc.text(`Budget vs Actual (by category${envelope ? ", envelope mode" : ""})`, 40, y);
   y += 8;
 
   doc.autoTable({
     startY: y,
-    head: [["Category", "Planned", "Actual", "Remaining", "% Used", "Status"]],
+    head: [envelope
+      ? ["Category", "Group", "Start", "Allocated", "Available", "Actual", "Remaining", "% Used", "Status"]
+      : ["Category", "Group", "Planned", "Actual", "Remaining", "% Used", "Status"]],
     body: bva.rows.map(r => [
       r.category,
-      money(r.planned),
+      r.group,
+      ...(envelope ? [money(r.starting), money(r.planned), money(r.available)] : [money(r.planned)]),
       money(r.actual),
       money(r.remaining),
       `${r.pctUsed.toFixed(0)}%`,
@@ -716,201 +4540,547 @@ async function exportPdf() {
 
   y = doc.lastAutoTable.finalY + 16;
 
+  const slices = breakdownSlices(bva.rows);
+  addChart(`Spending by Category (${formatMonth(state.ledgerMonth)})`, 180, (ctx, w, h, theme) => drawBreakdownChart(ctx, w, h, slices, theme));
+  const bars = varianceBars(bva.rows, envelope);
+  addChart(envelope ? "Available vs Actual" : "Planned vs Actual", 30 + Math.max(1, bars.length) * CHART_BAR_ROW, (ctx, w, h, theme) => {
+    drawVarianceChart(ctx, w, h, bars, theme, envelope ? "Available" : "Planned");
+  });
+
+  doc.setFontSize(12);
+  doc.text(`Cash-Flow Forecast (${formatDate(cashFlow.fromISO)} – ${formatDate(cashFlow.untilISO)}, from ${money(state.cashFlow.startingBalance)})`, 40, y);
+  y += 8;
+
+  // Only days with money in or out; the balance carries between them.
+  doc.autoTable({
+    startY: y,
+    head: [["Date", "In / Out", "Amount", "Balance", "Below Floor"]],
+    body: cashFlow.days.filter(d => d.items.length).map(d => [
+      formatDate(d.date),
+      d.items.map(e => e.label).join("\n"),
+      d.items.map(e => money(e.amount)).join("\n"),
+      money(d.balance),
+      d.belowFloor ? "Yes" : ""
+    ]),
+    styles: { fontSize: 9 },
+    headStyles: { fillColor: [20, 22, 29] }
+  });
+
+  y = doc.lastAutoTable.finalY + 16;
+
+  doc.setFontSize(12);
+  doc.text("Savings Goals", 40, y);
+  y += 8;
+
+  doc.autoTable({
+    startY: y,
+    head: [["Goal", "Priority", "Target", "Target Date", "Saved", "Required / mo", "Pace / mo", "Projected", "Status"]],
+    body: goals.map(p => [
+      p.goal.name,
+      GOAL_PRIORITIES[p.goal.priority],
+      money(p.goal.targetAmount),
+      formatDate(p.goal.targetDate),
+      `${money(p.saved)} (${p.pctDone.toFixed(0)}%)`,
+      money(p.required),
+      p.pace ? money(p.pace) : "—",
+      p.projectedMonth ? formatMonth(p.projectedMonth) : "—",
+      p.status
+    ]),
+    styles: { fontSize: 9 },
+    headStyles: { fillColor: [20, 22, 29] }
+  });
+
+  y = doc.lastAutoTable.finalY + 16;
+
   doc.setFontSize(12);
   doc.text("Debts", 40, y);
   y += 8;
 
   doc.autoTable({
     startY: y,
-    head: [["Name", "Balance", "APR", "Min Payment"]],
-    body: state.debts.map(d => [d.name, money(d.balance), `${num(d.aprPct).toFixed(2)}%`, money(d.minPayment)]),
+    head: [["Name", "Balance", "APR", "Min Payment", "Lump Sums"]],
+    body: state.debts.map((d, i) => [
+      d.name,
+      d.currency ? `${money(d.balance, d.currency)} (≈ ${money(snap.debts[i].balance)})` : money(d.balance),
+      describeDebtApr(d, regionalFormat()),
+      describeDebtMinimum(d, regionalFormat()),
+      d.lumpSums.map(l => `${formatMonth(l.month)}: ${money(l.amount, d.currency)}`).join(", ")
+    ]),
+    styles: { fontSize: 9 },
+    headStyles: { fillColor: [20, 22, 29] }
+  });
+
+  y = doc.lastAutoTable.finalY + 16;
+
+  doc.setFontSize(12);
+  doc.text("Debt Strategy Comparison", 40, y);
+  y += 8;
+
+  const series = payoffSeries(comparison.runs, snap.debtTotal);
+  doc.autoTable({
+    startY: y,
+    head: [["Strategy", "Payoff", "Total Interest", "Total Paid", "Interest Saved vs Minimums"]],
+    body: comparison.runs.map(r => [
+      r.key === comparison.bestKey ? `${r.label} (lowest interest)` : r.label,
+      r.feasible ? `${r.plan.months} mo (${payoffDateLabel(r.plan.months, regionalFormat())})` : "Not feasible",
+      r.feasible ? money(r.plan.totalInterest) : "—",
+      r.feasible ? money(r.plan.totalPaid) : "—",
+      r.interestSaved === null || r.key === "minimums" ? "—" : money(r.interestSaved)
+    ]),
     styles: { fontSize: 9 },
     headStyles: { fillColor: [20, 22, 29] }
   });
 
   y = doc.lastAutoTable.finalY + 16;
 
+  addChart("Total Debt Remaining by Strategy", 220, (ctx, w, h, theme) => drawPayoffChart(ctx, w, h, series, theme, state.payoff.strategy));
+
   doc.setFontSize(12);
   doc.text("Debt Payoff Schedule (first 60 months)", 40, y);
   y += 8;
 
   doc.autoTable({
     startY: y,
-    head: [["Month", "Target", "Paid", "Interest", "Principal", "Total Balance Remaining"]],
+    head: [["Month", "Date", "Target", "Paid", "Interest", "Principal", "Total Balance Remaining", "Notes"]],
     body: plan.schedule.slice(0, 60).map(r => [
       String(r.month),
+      formatMonth(r.date),
       r.target,
       money(r.paid),
       money(r.interest),
       money(r.principal),
-      money(r.totalBalanceRemaining)
+      money(r.totalBalanceRemaining),
+      r.notes.join("; ")
     ]),
     styles: { fontSize: 8 },
     headStyles: { fillColor: [20, 22, 29] }
   });
 
-  doc.save(`checks-and-balances_${state.ledgerMonth}.pdf`);
+  doc.save(`${exportFileStem()}_${state.ledgerMonth}.pdf`);
 }
 
 function exportExcel() {
   const wb = XLSX.utils.book_new();
 
-  const inc = calcIncomeMonthly(state.income);
-  const plannedTotal = sumPlannedExpenses(state.expenses);
-  const monthTxns = spendingForMonth(state.spending, state.ledgerMonth);
-  const actualTotal = sumSpending(monthTxns);
-  const variance = plannedTotal - actualTotal;
-  const cashLeft = inc.monthlyNet - plannedTotal;
-
-  const debtTotal = state.debts.reduce((a, d) => a + num(d.balance), 0);
-  const plan = buildPayoffPlan(state.debts, state.payoff.strategy, state.payoff.extraPayment);
-  const bva = budgetVsActual(state.expenses, monthTxns);
+  const snap = computeSnapshot(state);
+  const { income: inc, monthTxns, plan, budget: bva, envelope, goals, cashFlow, comparison } = snap;
 
   // Summary
   XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
     ["Metric", "Value"],
+    ["Profile", activeProfile().name],
     ["Ledger Month", state.ledgerMonth],
+    ["Base Currency", state.regional.currency],
+    ["Number & Date Format", LOCALES[state.regional.locale]],
+    ["Budget Mode", envelope ? "Envelope (rollover)" : "Standard"],
     ["Monthly Gross (est.)", inc.monthlyGross],
     ["Monthly Take-Home (est.)", inc.monthlyNet],
-    ["Planned Expenses", plannedTotal],
-    ["Actual Spending (ledger)", actualTotal],
-    ["Variance (Planned − Actual)", variance],
-    ["Cash Left (Net − Planned)", cashLeft],
-    ["Total Debt", debtTotal],
-    ["Debt Strategy", state.payoff.strategy],
+    ["Planned Expenses", snap.plannedTotal],
+    ["Actual Spending (ledger)", snap.actualTotal],
+    ["Variance (Planned − Actual)", snap.variance],
+    ["Actual Income (ledger)", snap.actualIncome],
+    ["Income vs Estimate (Actual − Net)", snap.incomeVariance],
+    ["Cash Left (Net − Planned)", snap.cashLeft],
+    ["Goal Contributions Required (monthly)", snap.goalsRequired],
+    ["Savings Goals On Track", `${snap.goalsOnTrack} of ${goals.length}`],
+    [`Lowest Projected Balance (next ${cashFlow.days.length} days)`, cashFlow.lowest.balance],
+    ["Lowest Projected Balance Date", cashFlow.lowest.date],
+    ["Days Below Cash Floor", cashFlow.daysBelow],
+    ["Total Debt", snap.debtTotal],
+    ["Debt Strategy", PAYOFF_STRATEGIES[state.payoff.strategy]],
     ["Extra Monthly Debt Payment", num(state.payoff.extraPayment)],
     ["Estimated Payoff Time (months)", plan.months === null ? "" : plan.months]
   ]), "Summary");
 
-  // Income details
+  // Income details (household settings, each tax line, and totals)
   XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
     ["Field", "Value"],
-    ["Pay frequency", state.income.frequency],
-    ["Gross per paycheck", num(state.income.grossPerPaycheck)],
-    ["Tax rate (%)", num(state.income.taxRatePct)],
-    ["Other deductions per paycheck", num(state.income.otherDeductionsPerPaycheck)],
-    ["Other monthly income", num(state.income.otherMonthlyIncome)],
-    ["Paychecks per month factor", inc.ppm],
+    ["Tax mode", state.income.taxMode],
+    ...(state.income.taxMode === "progressive"
+      ? [["Filing status", FILING_STATUSES[state.income.filingStatus]], ["Tax year", state.income.taxYear], ["State tax rate (%)", num(state.income.stateTaxPct)]]
+      : []),
+    ["Income sources", inc.sources.length],
     ["Monthly gross", inc.monthlyGross],
-    ["Monthly taxes", inc.taxes],
-    ["Monthly deductions", inc.deductions],
+    ["Monthly pre-tax 401(k)", inc.pretax401k],
+    ["Monthly pre-tax HSA", inc.hsa],
+    ...inc.taxLines.map(l => [`Monthly tax: ${l.label}`, l.monthly]),
+    ["Monthly taxes (total)", inc.taxes],
+    ["Effective tax rate (%)", inc.effectiveRatePct],
+    ["Marginal tax rate (%)", inc.marginalRatePct],
+    ["Monthly deductions (incl. pre-tax)", inc.deductions],
     ["Monthly take-home (net)", inc.monthlyNet]
   ]), "Income");
 
-  // Planned expenses
+  // Income sources (one row per source, plus a combined total)
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+    ["Name", "Frequency", "First Payday", "Gross per paycheck", "Withholding (%)", "401(k) per paycheck", "HSA per paycheck",
+      "Other deductions per paycheck", "Taxable", "Paychecks per month", "Monthly gross", "Monthly taxes", "Monthly deductions", "Monthly net"],
+    ...state.income.sources.map((src, i) => {
+      const x = inc.sources[i];
+      return [src.name, src.frequency, src.firstPayday, src.grossPerPaycheck, src.withholdingPct, src.pretax401kPerPaycheck, src.hsaPerPaycheck,
+        src.otherDeductionsPerPaycheck, src.taxable ? "Yes" : "No", x.ppm, x.monthlyGross, x.taxes, x.deductions, x.monthlyNet];
+    }),
+    ["Total", "", "", "", "", "", "", "", "", "", inc.monthlyGross, inc.taxes, inc.deductions, inc.monthlyNet]
+  ]), "IncomeSources");
+
+  // Planned expenses (goal contributions are on the SavingsGoals sheet, so this one re-imports cleanly)
   XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
-    ["Name", "Category", "Amount"],
-    ...state.expenses.map(e => [e.name, e.category, num(e.amount)])
+    ["Name", "Category", "Group", "Amount", "Due Day"],
+    ...state.expenses.map(e => [e.name, e.category, findCategory(state.categories, e.category)?.group || "", num(e.amount), e.dueDay ?? ""])
   ]), "PlannedExpenses");
 
-  // Spending (all)
+  // Categories (in the user's order)
   XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
-    ["Date", "Month", "Category", "Description", "Amount"],
-    ...state.spending.map(t => [t.date, monthFromDateISO(t.date), t.category, t.description, num(t.amount)])
+    ["Category", "Group", "Archived"],
+    ...state.categories.map(c => [c.name, c.group, c.archived ? "Yes" : "No"])
+  ]), "Categories");
+
+  // Spending (all); amounts stay positive and Type says which way the money went
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+    ["Date", "Month", "Type", "Category", "Description", "Amount", "Currency", "Original Amount", "Rate", "Goal"],
+    ...state.spending.map(t => [t.date, monthFromDateISO(t.date), TXN_TYPES[t.type], t.category, t.description, num(t.amount),
+      ...(t.fx ? [t.fx.currency, t.fx.amount, t.fx.rate] : [state.regional.currency, "", ""]),
+      state.goals.find(g => g.id === t.goalId)?.name || ""])
   ]), "SpendingAll");
 
-  // Spending (month)
+  // Split lines (one row each, after their transaction) keep their amount in a separate column so Amount still sums.
+  // Amounts are in the base currency; Original shows what a foreign transaction was entered as.
+  const ledgerRows = (txns) => txns.flatMap(t => [
+    [t.date, TXN_TYPES[t.type], t.splits.length ? "Split" : t.category, t.description, num(t.amount), "", t.fx ? `${t.fx.amount} ${t.fx.currency}` : ""],
+    ...spendingLines(t).filter(l => l !== t).map(l => ["", "", l.category, l.memo, "", num(l.amount), ""])
+  ]);
+
+  // Spending (month), or the on-screen filter and sort when "Use this filter" is ticked
+  if (ledgerView.exportScope && ledgerFilterActive(ledgerView.filter)) {
+    const txns = ledgerViewTxns();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+      ["Filter", describeLedgerFilter(ledgerView.filter, state.ledgerMonth, regionalFormat())],
+      [],
+      ["Date", "Type", "Category", "Description", "Amount", "Split Amount", "Original"],
+      ...ledgerRows(txns),
+      ["Total", "", "", `${txns.length} transaction(s)`, ledgerFilterTotal(txns, ledgerView.filter), "", ""]
+    ]), "Spending_Filtered");
+  } else {
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+      ["Date", "Type", "Category", "Description", "Amount", "Split Amount", "Original"],
+      ...ledgerRows(monthTxns)
+    ]), `Spending_${state.ledgerMonth}`);
+  }
+
+  // Split lines (all months), linked to their transaction by date and description
   XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
-    ["Date", "Category", "Description", "Amount"],
-    ...monthTxns.map(t => [t.date, t.category, t.description, num(t.amount)])
-  ]), `Spending_${state.ledgerMonth}`);
+    ["Date", "Description", "Transaction Amount", "Split Category", "Split Amount", "Memo"],
+    ...state.spending.flatMap(t => (t.splits.length ? spendingLines(t) : []).map(l => [t.date, t.description, num(t.amount), l.category, num(l.amount), l.memo]))
+  ]), "SpendingSplits");
 
-  // Budget vs actual
+  // Exchange rates (units of the base currency per unit)
   XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
-    ["Category", "Planned", "Actual", "Remaining", "% Used", "Status"],
-    ...bva.rows.map(r => [r.category, r.planned, r.actual, r.remaining, r.pctUsed, r.status])
+    ["Currency", "Effective From", "Rate", "Base Currency"],
+    ...state.fxRates.map(r => [r.currency, r.effectiveDate, r.rate, state.regional.currency])
+  ]), "ExchangeRates");
+
+  // Budget vs actual
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(envelope ? [
+    ["Category", "Group", "Start", "Allocated", "Available", "Actual", "Remaining", "% Used", "Status", "Rollover"],
+    ...bva.rows.map(r => {
+      const cat = findCategory(state.categories, r.category);
+      const rule = !cat || cat.rollover === "all" ? "Carry all" : (cat.rollover === "reset" ? "Reset" : `Carry up to ${cat.rolloverCap}`);
+      return [r.category, r.group, r.starting, r.planned, r.available, r.actual, r.remaining, r.pctUsed, r.status, rule];
+    })
+  ] : [
+    ["Category", "Group", "Planned", "Actual", "Remaining", "% Used", "Status"],
+    ...bva.rows.map(r => [r.category, r.group, r.planned, r.actual, r.remaining, r.pctUsed, r.status])
   ]), "BudgetVsActual");
 
+  // Cash-flow forecast, one row per day
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+    ["Date", "Money In", "Money Out", "Items", "Balance", "Below Floor"],
+    ...cashFlow.days.map(d => [
+      d.date,
+      roundCents(d.items.filter(e => e.amount > 0).reduce((a, e) => a + e.amount, 0)),
+      roundCents(d.items.filter(e => e.amount < 0).reduce((a, e) => a - e.amount, 0)),
+      d.items.map(e => `${e.label} ${e.amount}`).join("; "),
+      d.balance,
+      d.belowFloor ? "Yes" : ""
+    ])
+  ]), "CashFlow");
+
+  // Savings goals (highest priority first)
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+    ["Goal", "Category", "Priority", "Target Amount", "Target Date", "Starting Balance", "Contributed", "Saved", "% Done",
+      "Required per Month", "Pace per Month", "Projected Month", "Status"],
+    ...goals.map(p => [
+      p.goal.name, p.goal.category, GOAL_PRIORITIES[p.goal.priority], p.goal.targetAmount, p.goal.targetDate, p.goal.startingBalance,
+      roundCents(p.contributed), roundCents(p.saved), Math.round(p.pctDone), roundCents(p.required), roundCents(p.pace),
+      p.projectedMonth || "", p.status
+    ])
+  ]), "SavingsGoals");
+
   // Debts
   XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
-    ["Name", "Balance", "APR (%)", "Min Payment"],
-    ...state.debts.map(d => [d.name, num(d.balance), num(d.aprPct), num(d.minPayment)])
+    ["Name", "Currency", "Balance", "APR (%)", "Promo APR (%)", "Promo Ends", "Min Rule", "Min Payment / Floor", "Min % of Balance", "Due Day"],
+    ...state.debts.map(d => [
+      d.name, d.currency || state.regional.currency, num(d.balance), num(d.aprPct),
+      d.promoEndDate ? d.promoAprPct : "", d.promoEndDate,
+      d.minMode, num(d.minPayment), d.minMode === "percent" ? d.minPct : "", d.dueDay ?? ""
+    ])
   ]), "Debts");
 
+  // Lump sums
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+    ["Debt", "Month", "Amount (debt's currency)", "Note"],
+    ...state.debts.flatMap(d => d.lumpSums.map(l => [d.name, l.month, l.amount, l.note]))
+  ]), "LumpSums");
+
   // Payoff
   XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
-    ["Month", "Target", "Paid", "Interest", "Principal", "Total Balance Remaining"],
-    ...plan.schedule.map(r => [r.month, r.target, r.paid, r.interest, r.principal, r.totalBalanceRemaining])
+    ["Month", "Date", "Target", "Paid", "Interest", "Principal", "Lump Sum", "Total Balance Remaining", "Notes"],
+    ...plan.schedule.map(r => [
+      r.month, r.date, r.target, r.paid, r.interest, r.principal, r.lumpSum, r.totalBalanceRemaining, r.notes.join("; ")
+    ])
   ]), "PayoffPlan");
 
-  XLSX.writeFile(wb, `checks-and-balances_${state.ledgerMonth}.xlsx`);
+  // Strategy comparison
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([
+    ["Strategy", "Feasible", "Months", "Payoff Month", "Total Interest", "Total Paid", "Interest Saved vs Minimums", "Lowest Interest",
+      ...state.debts.map(d => `${d.name} Paid Off`)],
+    ...comparison.runs.map(r => [
+      r.label,
+      r.feasible ? "Yes" : "No",
+      r.plan.months ?? "",
+      r.feasible ? payoffDateLabel(r.plan.months, regionalFormat()) : "",
+      r.feasible ? r.plan.totalInterest : "",
+      r.feasible ? r.plan.totalPaid : "",
+      r.interestSaved ?? "",
+      r.key === comparison.bestKey ? "Yes" : "",
+      ...state.debts.map(d => (r.plan.debtPayoffMonths[d.id] ? payoffDateLabel(r.plan.debtPayoffMonths[d.id], regionalFormat()) : "Never"))
+    ])
+  ]), "StrategyComparison");
+
+  XLSX.writeFile(wb, `${exportFileStem()}_${state.ledgerMonth}.xlsx`);
 }
 
 /* ------------------------------ Event Wiring ------------------------------ */
 
-function wire() {
-  // category selects
-  renderCategorySelects();
+function wireLedgerToolbar() {
+  // Filter inputs map 1:1 onto ledgerView.filter; any change goes back to the first page.
+  const fields = { ledgerSearch: "text", ledgerType: "type", ledgerMinAmount: "minAmount", ledgerMaxAmount: "maxAmount", ledgerFrom: "from", ledgerTo: "to" };
+  const refresh = () => {
+    ledgerView.page = 0;
+    scheduleRender();
+  };
+  for (const [id, key] of Object.entries(fields)) {
+    $(id).addEventListener("input", e => {
+      ledgerView.filter[key] = e.target.value;
+      refresh();
+    });
+  }
+  $("ledgerCategories").addEventListener("change", e => {
+    ledgerView.filter.categories = [...e.target.selectedOptions].map(o => o.value);
+    refresh();
+  });
+  $("btnClearLedgerFilter").addEventListener("click", () => {
+    ledgerView.filter = emptyLedgerFilter();
+    for (const id of Object.keys(fields)) $(id).value = "";
+    refresh();
+  });
+  $("ledgerExportScope").addEventListener("change", e => { ledgerView.exportScope = e.target.checked; });
+
+  $("spendTable").querySelector("thead").addEventListener("click", (e) => {
+    const th = e.target.closest("th[data-sort]");
+    if (!th) return;
+    const key = th.getAttribute("data-sort");
+    // First click sorts amounts largest-first and text A–Z; a second click reverses.
+    if (key === ledgerView.sortKey) ledgerView.sortDir = ledgerView.sortDir === "asc" ? "desc" : "asc";
+    else ledgerView.sortDir = key === "amount" ? "desc" : "asc";
+    ledgerView.sortKey = key;
+    refresh();
+  });
+  $("btnLedgerPrev").addEventListener("click", () => { ledgerView.page--; scheduleRender(); });
+  $("btnLedgerNext").addEventListener("click", () => { ledgerView.page++; scheduleRender(); });
+}
 
+function wire() {
   // Inputs
-  $("incomeFrequency").addEventListener("change", e => { state.income.frequency = e.target.value; scheduleRender(); });
-  $("grossPerPaycheck").addEventListener("input", e => { state.income.grossPerPaycheck = num(e.target.value); scheduleRender(); });
-  $("taxRatePct").addEventListener("input", e => { state.income.taxRatePct = clamp(num(e.target.value), 0, 60); scheduleRender(); });
-  $("otherDeductionsPerPaycheck").addEventListener("input", e => { state.income.otherDeductionsPerPaycheck = num(e.target.value); scheduleRender(); });
-  $("otherMonthlyIncome").addEventListener("input", e => { state.income.otherMonthlyIncome = num(e.target.value); scheduleRender(); });
+  const income = () => state.income;
+  $("taxMode").addEventListener("change", e => { execute(cmdSet("Changed tax mode", income, "taxMode", e.target.value)); });
+  $("filingStatus").addEventListener("change", e => { execute(cmdSet("Changed filing status", income, "filingStatus", e.target.value)); });
+  $("taxYear").addEventListener("change", e => { execute(cmdSet("Changed tax year", income, "taxYear", Number(e.target.value))); });
+  $("stateTaxPct").addEventListener("input", e => {
+    execute(cmdSet("Changed state tax rate", income, "stateTaxPct", clamp(num(e.target.value), 0, 20), "stateTaxPct"));
+  });
+
+  // Income sources (inputs live in the table rows)
+  $("btnAddIncomeSource").addEventListener("click", addIncomeSource);
+  $("incomeTbody").addEventListener("input", onIncomeSourceInput);
+  $("incomeTbody").addEventListener("change", onIncomeSourceInput);
+  $("incomeTbody").addEventListener("click", (e) => {
+    const b = e.target.closest("button[data-action]");
+    if (!b || b.getAttribute("data-action") !== "delete-income") return;
+    const src = state.income.sources.find(x => x.id === b.getAttribute("data-id"));
+    if (!src || state.income.sources.length <= 1) return;
+    removeWithUndo(`Removed income source "${src.name}"`, () => state.income.sources, src.id);
+  });
+
+  wireLedgerToolbar();
 
-  $("ledgerMonth").addEventListener("change", e => { state.ledgerMonth = e.target.value || currentMonthISO(); scheduleRender(); });
+  $("ledgerMonth").addEventListener("change", e => {
+    state.ledgerMonth = e.target.value || currentMonthISO();
+    ledgerView.page = 0;
+    processRecurring(state, todayISO());
+    scheduleRender();
+  });
 
-  $("payoffStrategy").addEventListener("change", e => { state.payoff.strategy = e.target.value; scheduleRender(); });
-  $("extraPayment").addEventListener("input", e => { state.payoff.extraPayment = Math.max(0, num(e.target.value)); scheduleRender(); });
+  const payoff = () => state.payoff;
+  $("payoffStrategy").addEventListener("change", e => { execute(cmdSet("Changed payoff strategy", payoff, "strategy", e.target.value)); });
+  $("extraPayment").addEventListener("input", e => {
+    execute(cmdSet("Changed extra payment", payoff, "extraPayment", Math.max(0, num(e.target.value)), "extraPayment"));
+  });
 
   // Adds
   $("btnAddExpense").addEventListener("click", addExpense);
   $("btnAddSpend").addEventListener("click", addSpending);
   $("btnAddDebt").addEventListener("click", addDebt);
+  $("btnAddLump").addEventListener("click", addLumpSum);
+  $("btnAddRecurring").addEventListener("click", addRecurring);
 
   // Enter-to-add UX
   $("expenseAmount").addEventListener("keydown", (e) => { if (e.key === "Enter") addExpense(); });
   $("spendAmount").addEventListener("keydown", (e) => { if (e.key === "Enter") addSpending(); });
   $("debtMin").addEventListener("keydown", (e) => { if (e.key === "Enter") addDebt(); });
+  $("lumpAmount").addEventListener("keydown", (e) => { if (e.key === "Enter") addLumpSum(); });
+  $("recAmount").addEventListener("keydown", (e) => { if (e.key === "Enter") addRecurring(); });
+
+  // Recurring: post/skip due occurrences, remove templates
+  $("recTbody").addEventListener("click", onRecurringAction);
+  $("recPending").addEventListener("click", onRecurringAction);
+
+  wireRowEditing("expenseTbody", "expenses");
+  wireRowEditing("spendTbody", "spending");
+  wireRowEditing("debtTbody", "debts");
 
   // Event delegation for deletes
   $("expenseTbody").addEventListener("click", (e) => {
     const b = e.target.closest("button[data-action]");
     if (!b) return;
-    if (b.getAttribute("data-action") === "delete-expense") {
-      deleteById(state.expenses, b.getAttribute("data-id"));
-      scheduleRender();
+    const exp = state.expenses.find(x => x.id === b.getAttribute("data-id"));
+    if (b.getAttribute("data-action") === "delete-expense" && exp) {
+      removeWithUndo(`Removed expense "${exp.name}"`, () => state.expenses, exp.id);
     }
   });
 
   $("spendTbody").addEventListener("click", (e) => {
     const b = e.target.closest("button[data-action]");
     if (!b) return;
-    if (b.getAttribute("data-action") === "delete-spending") {
-      deleteById(state.spending, b.getAttribute("data-id"));
-      scheduleRender();
+    const txn = state.spending.find(x => x.id === b.getAttribute("data-id"));
+    if (b.getAttribute("data-action") === "delete-spending" && txn) {
+      removeWithUndo(`Removed transaction "${txn.description || txn.category}"`, () => state.spending, txn.id);
     }
   });
 
   $("debtTbody").addEventListener("click", (e) => {
     const b = e.target.closest("button[data-action]");
     if (!b) return;
+    const debt = state.debts.find(x => x.id === b.getAttribute("data-id"));
+    if (!debt) return;
     if (b.getAttribute("data-action") === "delete-debt") {
-      deleteById(state.debts, b.getAttribute("data-id"));
-      scheduleRender();
+      removeWithUndo(`Removed debt "${debt.name}"`, () => state.debts, debt.id);
+    } else if (b.getAttribute("data-action") === "move-debt") {
+      execute(cmdMove(`Moved debt "${debt.name}"`, () => state.debts, debt.id, Number(b.getAttribute("data-delta"))));
     }
   });
 
+  $("lumpTbody").addEventListener("click", (e) => {
+    const b = e.target.closest("button[data-action='delete-lump']");
+    const debt = b && state.debts.find(d => d.id === b.getAttribute("data-debt"));
+    if (!debt) return;
+    const label = `Removed lump sum for "${debt.name}"`;
+    const lumpSums = debt.lumpSums.filter(l => l.id !== b.getAttribute("data-id"));
+    if (execute(cmdUpdate(label, () => state.debts, debt.id, { lumpSums }))) showToast(label, { undoable: true });
+  });
+
+  // Budget mode
+  const budget = () => state.budget;
+  $("budgetMode").addEventListener("change", e => { execute(cmdSet("Changed budget mode", budget, "mode", e.target.value)); });
+  $("envelopeStartMonth").addEventListener("change", e => {
+    execute(cmdSet("Changed envelope start month", budget, "envelopeStartMonth", e.target.value || ""));
+  });
+
+  // Trends
+  $("trendMonths").addEventListener("change", e => { execute(cmdSet("Changed trend range", () => state, "trendMonths", Number(e.target.value) || 12)); });
+  $("trendTbody").addEventListener("click", (e) => {
+    const b = e.target.closest("button[data-action]");
+    if (!b || b.getAttribute("data-action") !== "apply-suggestion") return;
+    const category = b.getAttribute("data-category");
+    const row = trendAnalysis(state.expenses, state.spending, state.categories, state.ledgerMonth, state.trendMonths)
+      .rows.find(r => r.category === category);
+    if (row) execute(cmdSnapshot(`Applied suggestion for "${category}"`, (s) => { rebalanceCategory(s.expenses, category, row.suggested); }));
+  });
+  $("btnApplyAllSuggestions").addEventListener("click", () => {
+    const { rows } = trendAnalysis(state.expenses, state.spending, state.categories, state.ledgerMonth, state.trendMonths);
+    const changes = rows.filter(r => r.suggested > 0 && Math.abs(r.suggested - r.planned) >= 0.01);
+    if (changes.length === 0) return;
+    if (!confirm(`Update planned amounts for ${changes.length} categor${changes.length === 1 ? "y" : "ies"} from the trend suggestions?`)) return;
+    execute(cmdSnapshot(`Applied ${changes.length} budget suggestion(s)`, (s) => {
+      for (const r of changes) rebalanceCategory(s.expenses, r.category, r.suggested);
+    }));
+  });
+
+  // Category manager
+  $("btnAddCategory").addEventListener("click", addCategory);
+  $("categoryName").addEventListener("keydown", (e) => { if (e.key === "Enter") addCategory(); });
+  $("categoryGroup").addEventListener("keydown", (e) => { if (e.key === "Enter") addCategory(); });
+  $("categoryTbody").addEventListener("change", onCategoryChange);
+  $("categoryTbody").addEventListener("click", onCategoryClick);
+
+  // Statement import
+  wireImport();
+
+  // Backup & restore
+  wireRestore();
+
+  // Profiles and lock
+  wireProfiles();
+  wireLock();
+  wireCurrencySettings();
+  wireCashFlow();
+  wireGoals();
+  wireRules();
+  $("btnRetrySave").addEventListener("click", retryStorage);
+
   // Exports
   $("btnExportPdf").addEventListener("click", exportPdf);
   $("btnExportExcel").addEventListener("click", exportExcel);
 
-  // Reset
+  // Undo / redo
+  $("btnUndo").addEventListener("click", undo);
+  $("btnRedo").addEventListener("click", redo);
+  $("toastUndo").addEventListener("click", () => { $("toast").hidden = true; undo(); });
+  document.addEventListener("keydown", onHistoryKeydown);
+
+  // Charts follow the layout width
+  window.addEventListener("resize", redrawScreenCharts);
+
+  // Reset (undoable until the page is closed)
   $("btnReset").addEventListener("click", () => {
-    const ok = confirm("Reset all data? This clears saved entries in this browser.");
+    const ok = confirm(`Reset all data in the "${activeProfile().name}" profile? Other profiles are not affected. ` +
+      "You can undo it until you close this page or switch profiles.");
     if (!ok) return;
-    localStorage.removeItem(LS_KEY);
-    state = defaultState();
+    execute(cmdSnapshot("Reset all data", () => defaultState()));
     renderInputs();
-    scheduleRender();
+    showToast("All data reset", { undoable: true });
   });
 }
 
 /* ------------------------------ Init ------------------------------ */
 
-(function init() {
-  load();
+(async function init() {
+  loadProfiles();
+  await openStorage();
+  renderStorageStatus();
+  await load();
+  renderProfileBar();
+  renderLockState();
   renderCategorySelects();
   renderInputs();
 
@@ -918,6 +5088,9 @@ function wire() {
   if (!state.ledgerMonth || state.ledgerMonth.length !== 7) state.ledgerMonth = currentMonthISO();
   $("ledgerMonth").value = state.ledgerMonth;
 
+  // Post any recurring occurrences that came due since the last visit
+  processRecurring(state, todayISO());
+
   wire();
   scheduleRender();
 })();
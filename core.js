@@ -0,0 +1,1799 @@
+/**
+ * Checks & Balances – calculation core
+ * - Everything the app computes from its state: categories, tax tables, income, budgets and envelope rollover,
+ *   currency conversion, savings goals, trends, debt payoff plans, recurring transactions, the cash-flow
+ *   forecast and categorization rules, plus state normalization and migration of stored data
+ * - computeSnapshot(state) bundles the figures shared by the on-screen KPIs and the PDF/Excel exports
+ * - No DOM or storage access, so it runs in Node for the test suite (test/core.test.js, `npm test`);
+ *   money and dates are formatted through formatters(state.regional), passed in as `fmt` where text is built
+ */
+
+export const APP_VERSION = 2;
+
+/* ------------------------------ Categories ------------------------------ */
+
+// Seed list for new budgets; the live list is state.categories (see the category manager).
+export const DEFAULT_CATEGORIES = [
+  "Housing",
+  "Utilities",
+  "Food",
+  "Transportation",
+  "Insurance",
+  "Health",
+  "Shopping",
+  "Entertainment",
+  "Subscriptions",
+  "Childcare",
+  "Savings",
+  "Debt Minimums",
+  "Other"
+];
+
+// Always present: records without a usable category land here, so it can't be archived or merged away.
+export const FALLBACK_CATEGORY = "Other";
+
+export function normalizeCategory(c) {
+  return {
+    id: c.id || uid("cat"),
+    name: String(c.name || "").trim(),
+    group: String(c.group || "").trim(),
+    archived: Boolean(c.archived),
+    // Envelope mode: what happens to the month's remainder ("all" carries it, "capped" limits a surplus, "reset" drops it)
+    rollover: ["all", "capped", "reset"].includes(c.rollover) ? c.rollover : "all",
+    rolloverCap: Math.max(0, num(c.rolloverCap))
+  };
+}
+
+export function defaultCategories() {
+  return DEFAULT_CATEGORIES.map(name => normalizeCategory({ name }));
+}
+
+export function findCategory(categories, name) {
+  const key = String(name || "").trim().toLowerCase();
+  return categories.find(c => c.name.toLowerCase() === key) || null;
+}
+
+export function activeCategories(categories) {
+  return categories.filter(c => !c.archived);
+}
+
+export function ensureCategories(categories, names) {
+  // Appends any names in use that the list doesn't know about, instead of dropping them to "Other".
+  for (const name of names) {
+    if (name && !categories.some(c => c.name === name)) categories.push(normalizeCategory({ name }));
+  }
+  return categories;
+}
+
+export function recategorizeRecords(s, from, to) {
+  let n = 0;
+  for (const list of [s.expenses, s.spending, s.recurring, s.goals, s.rules, s.spending.flatMap(t => t.splits || [])]) {
+    for (const r of list) {
+      if (r.category === from) { r.category = to; n++; }
+    }
+  }
+  return n;
+}
+
+export function renameCategory(s, id, newName) {
+  const cat = s.categories.find(c => c.id === id);
+  const name = String(newName || "").trim();
+  if (!cat) return "Category not found";
+  if (!name) return "Name is required";
+  if (cat.name === FALLBACK_CATEGORY) return `"${FALLBACK_CATEGORY}" can't be renamed`;
+  const clash = findCategory(s.categories, name);
+  if (clash && clash.id !== id) return `"${clash.name}" already exists (use Merge instead)`;
+
+  recategorizeRecords(s, cat.name, name);
+  cat.name = name;
+  return "";
+}
+
+export function mergeCategory(s, fromId, intoId) {
+  const from = s.categories.find(c => c.id === fromId);
+  const into = s.categories.find(c => c.id === intoId);
+  if (!from || !into || from === into) return "Pick two different categories";
+  if (from.name === FALLBACK_CATEGORY) return `"${FALLBACK_CATEGORY}" can't be merged away`;
+
+  recategorizeRecords(s, from.name, into.name);
+  s.categories.splice(s.categories.indexOf(from), 1);
+  return "";
+}
+
+/* ------------------------------ Tax Tables ------------------------------ */
+
+// Yearly figures live here as data; add a year by copying the latest entry and updating the numbers.
+// brackets: [upper bound of taxable income, rate %]; the last bracket's bound is null (no ceiling).
+export const TAX_TABLES = {
+  2025: {
+    standardDeduction: { single: 15750, married_joint: 31500, married_separate: 15750, head_of_household: 23625 },
+    brackets: {
+      single: [[11925, 10], [48475, 12], [103350, 22], [197300, 24], [250525, 32], [626350, 35], [null, 37]],
+      married_joint: [[23850, 10], [96950, 12], [206700, 22], [394600, 24], [501050, 32], [751600, 35], [null, 37]],
+      married_separate: [[11925, 10], [48475, 12], [103350, 22], [197300, 24], [250525, 32], [375800, 35], [null, 37]],
+      head_of_household: [[17000, 10], [64850, 12], [103350, 22], [197300, 24], [250500, 32], [626350, 35], [null, 37]]
+    },
+    socialSecurity: { ratePct: 6.2, wageBase: 176100 },
+    medicare: {
+      ratePct: 1.45,
+      additionalRatePct: 0.9,
+      additionalThreshold: { single: 200000, married_joint: 250000, married_separate: 125000, head_of_household: 200000 }
+    }
+  },
+  2026: {
+    standardDeduction: { single: 16100, married_joint: 32200, married_separate: 16100, head_of_household: 24150 },
+    brackets: {
+      single: [[12400, 10], [50400, 12], [105700, 22], [201775, 24], [256225, 32], [640600, 35], [null, 37]],
+      married_joint: [[24800, 10], [100800, 12], [211400, 22], [403550, 24], [512450, 32], [768700, 35], [null, 37]],
+      married_separate: [[12400, 10], [50400, 12], [105700, 22], [201775, 24], [256225, 32], [384350, 35], [null, 37]],
+      head_of_household: [[17700, 10], [67450, 12], [105700, 22], [201750, 24], [256200, 32], [640600, 35], [null, 37]]
+    },
+    socialSecurity: { ratePct: 6.2, wageBase: 184500 },
+    medicare: {
+      ratePct: 1.45,
+      additionalRatePct: 0.9,
+      additionalThreshold: { single: 200000, married_joint: 250000, married_separate: 125000, head_of_household: 200000 }
+    }
+  }
+};
+
+export const PAY_FREQUENCIES = {
+  monthly: "Monthly",
+  semimonthly: "Semi-monthly (24/yr)",
+  biweekly: "Bi-weekly (26/yr)",
+  weekly: "Weekly (52/yr)"
+};
+
+export const FILING_STATUSES = {
+  single: "Single",
+  married_joint: "Married filing jointly",
+  married_separate: "Married filing separately",
+  head_of_household: "Head of household"
+};
+
+export function latestTaxYear() {
+  return Math.max(...Object.keys(TAX_TABLES).map(Number));
+}
+
+/* ------------------------------ Utilities ------------------------------ */
+
+// Profile display settings (state.regional). Base currency is what every total is in; other currencies only
+// appear on transactions/debts entered in them. The locale drives number and date formatting ("" = browser).
+export const CURRENCIES = ["USD", "EUR", "GBP", "CAD", "AUD", "NZD", "JPY", "CHF", "CNY", "HKD", "SGD", "INR", "KRW",
+  "MXN", "BRL", "ZAR", "SEK", "NOK", "DKK", "PLN", "CZK", "HUF", "TRY", "ILS", "AED", "THB", "PHP"];
+export const LOCALES = {
+  "": "Browser default",
+  "en-US": "English (US)",
+  "en-GB": "English (UK)",
+  "en-CA": "English (Canada)",
+  "en-AU": "English (Australia)",
+  "en-IN": "English (India)",
+  "fr-FR": "Français (France)",
+  "fr-CA": "Français (Canada)",
+  "de-DE": "Deutsch (Deutschland)",
+  "es-ES": "Español (España)",
+  "es-MX": "Español (México)",
+  "it-IT": "Italiano",
+  "nl-NL": "Nederlands",
+  "pt-BR": "Português (Brasil)",
+  "pl-PL": "Polski",
+  "sv-SE": "Svenska",
+  "ja-JP": "日本語",
+  "zh-CN": "中文 (简体)"
+};
+
+const formatterCache = new Map();
+
+export function formatters(regional = {}) {
+  // Money and date formatting for one currency/locale pair (state.regional). Built once per pair and reused, so
+  // it is cheap to ask for on every render. Text-producing functions take the result as `fmt`.
+  const currency = regional.currency || "USD";
+  const locale = regional.locale || undefined;
+  const key = `${currency}|${locale || ""}`;
+  if (formatterCache.has(key)) return formatterCache.get(key);
+
+  const moneyFmt = new Intl.NumberFormat(locale, { style: "currency", currency });
+  const compactMoneyFmt = new Intl.NumberFormat(locale, { style: "currency", currency, notation: "compact", minimumFractionDigits: 0, maximumFractionDigits: 1 });
+  const dateFmt = new Intl.DateTimeFormat(locale, { year: "numeric", month: "short", day: "numeric", timeZone: "UTC" });
+  const monthFmt = new Intl.DateTimeFormat(locale, { year: "numeric", month: "short", timeZone: "UTC" });
+  const foreignMoneyFmts = new Map();
+  const fmt = {
+    currency,
+    locale,
+    money(n, other) {
+      // other: for amounts kept in another currency (original transaction/debt amounts); default is the base.
+      let f = moneyFmt;
+      if (other && other !== currency) {
+        if (!foreignMoneyFmts.has(other)) foreignMoneyFmts.set(other, new Intl.NumberFormat(locale, { style: "currency", currency: other }));
+        f = foreignMoneyFmts.get(other);
+      }
+      return f.format(num(n));
+    },
+    compactMoney(n) {
+      // Short form for chart axes and labels (e.g. $1.2K).
+      return compactMoneyFmt.format(num(n));
+    },
+    formatDate(dateISO) {
+      // YYYY-MM-DD in the profile's locale; anything else is shown as-is.
+      return isValidDateISO(dateISO) ? dateFmt.format(new Date(`${dateISO}T00:00:00Z`)) : String(dateISO || "");
+    },
+    formatMonth(monthISO) {
+      return /^\d{4}-\d{2}$/.test(String(monthISO)) ? monthFmt.format(new Date(`${monthISO}-01T00:00:00Z`)) : String(monthISO || "");
+    }
+  };
+  formatterCache.set(key, fmt);
+  return fmt;
+}
+
+export function roundCents(n) {
+  return Math.round(n * 100) / 100;
+}
+
+export function num(x) {
+  const v = Number(x);
+  return Number.isFinite(v) ? v : 0;
+}
+
+export function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+export function uid(prefix = "id") {
+  return `${prefix}_${Math.random().toString(16).slice(2)}_${Date.now().toString(16)}`;
+}
+
+export function todayISO() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+export function currentMonthISO() {
+  return new Date().toISOString().slice(0, 7); // YYYY-MM
+}
+
+export function paychecksPerYear(freq) {
+  switch (freq) {
+    case "monthly": return 12;
+    case "semimonthly": return 24;
+    case "biweekly": return 26;
+    case "weekly": return 52;
+    default: return 12;
+  }
+}
+
+export function paymentsPerMonth(freq) {
+  switch (freq) {
+    case "monthly": return 1;
+    case "semimonthly": return 2;
+    case "biweekly": return 26 / 12;
+    case "weekly": return 52 / 12;
+    default: return 1;
+  }
+}
+
+export function addMonthsISO(monthISO, n) {
+  // monthISO: YYYY-MM -> YYYY-MM shifted by n months
+  const [y, m] = String(monthISO).split("-").map(Number);
+  const idx = y * 12 + (m - 1) + n;
+  return `${Math.floor(idx / 12)}-${String((idx % 12) + 1).padStart(2, "0")}`;
+}
+
+export function monthRange(endMonth, count) {
+  // Ascending list of `count` months ending at endMonth
+  const out = [];
+  for (let i = count - 1; i >= 0; i--) out.push(addMonthsISO(endMonth, -i));
+  return out;
+}
+
+export function monthFromDateISO(dateISO) {
+  // dateISO: YYYY-MM-DD -> YYYY-MM
+  return String(dateISO || "").slice(0, 7);
+}
+
+export function isValidDateISO(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(s))) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
+
+export function addDaysISO(dateISO, days) {
+  const d = new Date(`${dateISO}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+export function daysInMonth(year, month) {
+  // month: 1-12
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/* ------------------------------ State ------------------------------ */
+
+export function defaultState() {
+  return {
+    version: APP_VERSION,
+    ledgerMonth: currentMonthISO(),
+    income: {
+      taxMode: "simple", // "simple" (each source's withholdingPct) | "progressive" (TAX_TABLES)
+      filingStatus: "single",
+      taxYear: latestTaxYear(),
+      stateTaxPct: 0, // flat state income tax rate
+      sources: [normalizeIncomeSource({ name: "Paycheck" })]
+    },
+    categories: defaultCategories(), // ordered; each { id, name, group, archived }
+    expenses: [], // planned monthly budget items
+    spending: [], // ledger transactions
+    debts: [],
+    recurring: [], // recurring transaction templates (see processRecurring)
+    goals: [], // savings goals; ledger transactions link to one through goalId
+    rules: [], // categorization rules, first match wins (see applyRules)
+    importProfiles: [], // saved CSV column mappings, one per bank
+    payoff: {
+      strategy: "avalanche",
+      extraPayment: 0
+    },
+    trendMonths: 12,
+    regional: {
+      currency: "USD", // base currency: every total, budget and payoff plan is in it
+      locale: "" // number/date formatting; "" = browser default
+    },
+    fxRates: [], // { id, currency, effectiveDate, rate }: 1 unit of currency = rate units of the base currency
+    budget: {
+      mode: "standard", // "standard" (fresh each month) | "envelope" (remainders roll over)
+      envelopeStartMonth: "" // first month envelopes are funded; blank = first month with transactions
+    },
+    cashFlow: {
+      startingBalance: 0, // checking balance at the start of today
+      floor: 0, // days projected below this are flagged
+      days: 60 // forecast horizon
+    }
+  };
+}
+
+export function normalizeSplit(l) {
+  return {
+    id: l.id || uid("split"),
+    category: String(l.category || "").trim() || FALLBACK_CATEGORY,
+    amount: num(l.amount),
+    memo: String(l.memo || "").trim()
+  };
+}
+
+// Split lines must add up to the transaction (to the cent).
+export function splitsBalance(splits, amount) {
+  return Math.abs(splits.reduce((a, l) => a + num(l.amount), 0) - num(amount)) < 0.005;
+}
+
+export function isCurrencyCode(c) {
+  return /^[A-Z]{3}$/.test(String(c));
+}
+
+export function normalizeFx(fx) {
+  // Original amount of a transaction entered in another currency, and the rate used to convert it.
+  if (!fx || typeof fx !== "object" || !isCurrencyCode(fx.currency) || !(num(fx.rate) > 0)) return null;
+  return { currency: fx.currency, amount: Math.abs(num(fx.amount)), rate: num(fx.rate) };
+}
+
+export function normalizeFxRate(r) {
+  return {
+    id: r.id || uid("fx"),
+    currency: String(r.currency || "").trim().toUpperCase(),
+    effectiveDate: isValidDateISO(r.effectiveDate) ? r.effectiveDate : "",
+    rate: num(r.rate)
+  };
+}
+
+export function sortFxRates(rates) {
+  return rates.sort((a, b) => a.currency.localeCompare(b.currency) || a.effectiveDate.localeCompare(b.effectiveDate));
+}
+
+// Ledger transaction types. Amounts are always stored positive; the type says which way the money went.
+export const TXN_TYPES = {
+  expense: "Expense",
+  income: "Income",
+  refund: "Refund",
+  transfer: "Transfer"
+};
+
+// Shared by migrateState() and the statement importer so both accept/reject the same records.
+function storedDateISO(value) {
+  // Dates from older versions or edited in a spreadsheet ("2024-1-5", "2024/01/05", a full timestamp) become
+  // YYYY-MM-DD; anything else is kept as it was, for the user to correct.
+  const text = String(value || "").trim();
+  const m = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?![\d])/.exec(text);
+  const iso = m ? `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}` : "";
+  return isValidDateISO(iso) ? iso : text.slice(0, 10);
+}
+
+export function normalizeSpending(t) {
+  // A negative amount without a type (older data, spreadsheets) is money coming back: a refund.
+  const type = TXN_TYPES[t.type] ? t.type : num(t.amount) < 0 ? "refund" : "expense";
+  // In another currency, amount is always the converted fx.amount (see convertSpending).
+  const fx = normalizeFx(t.fx);
+  const amount = fx ? roundCents(fx.amount * fx.rate) : Math.abs(num(t.amount));
+  // Split transactions carry 2+ lines that add up to the amount (in the transaction's own currency); category mirrors
+  // the first line. Lines that no longer add up (e.g. the amount was changed in a spreadsheet) are dropped rather
+  // than the whole transaction.
+  let splits = Array.isArray(t.splits) ? t.splits.filter(l => l && typeof l === "object").map(normalizeSplit).filter(l => l.amount > 0) : [];
+  if (!splitsBalance(splits, fx ? fx.amount : amount)) splits = [];
+  const category = splits.length ? splits[0].category : String(t.category || "").trim() || FALLBACK_CATEGORY;
+  return {
+    id: t.id || uid("txn"),
+    date: storedDateISO(t.date) || todayISO(),
+    type,
+    category,
+    description: String(t.description || "").trim(),
+    amount,
+    recurringId: t.recurringId ? String(t.recurringId) : null, // template that posted it, if any
+    splits: splits.length > 1 ? splits : [],
+    fx,
+    goalId: t.goalId ? String(t.goalId) : null // savings goal this contributes to, if any
+  };
+}
+
+export function spendingLines(t) {
+  // What a transaction spends per category, in the base currency: its split lines (converted at the transaction's
+  // rate when it's in another currency), or the whole amount under its category.
+  if (!t.splits || !t.splits.length) return [t];
+  return t.fx ? t.splits.map(l => ({ ...l, amount: roundCents(num(l.amount) * t.fx.rate) })) : t.splits;
+}
+
+export function spendingSign(t) {
+  // How a transaction counts toward spending: refunds net against their category; income and transfers don't count,
+  // except a transfer into a savings goal, which is the actual side of the goal's planned contribution.
+  if (t.type === "refund") return -1;
+  if (t.type === "transfer" && t.goalId) return 1;
+  return t.type === "income" || t.type === "transfer" ? 0 : 1;
+}
+
+export function normalizeRecurring(r) {
+  const startDate = isValidDateISO(r.startDate) ? r.startDate : todayISO();
+  return {
+    id: r.id || uid("rec"),
+    description: String(r.description || "").trim(),
+    category: String(r.category || "").trim() || FALLBACK_CATEGORY,
+    amount: num(r.amount),
+    frequency: ["weekly", "biweekly", "monthly", "yearly"].includes(r.frequency) ? r.frequency : "monthly",
+    dayOfMonth: clamp(Math.round(num(r.dayOfMonth)) || Number(startDate.slice(8, 10)), 1, 31),
+    startDate,
+    endDate: isValidDateISO(r.endDate) ? r.endDate : "",
+    mode: r.mode === "confirm" ? "confirm" : "auto",
+    // Occurrences on or before this date have been posted or skipped and are never offered again.
+    postedThrough: isValidDateISO(r.postedThrough) ? r.postedThrough : addDaysISO(startDate, -1)
+  };
+}
+
+export const RULE_MATCH_MODES = {
+  contains: "Contains",
+  starts: "Starts with",
+  regex: "Regex"
+};
+
+export function normalizeRule(r) {
+  const amount = v => (v === "" || v === null || v === undefined || !Number.isFinite(Number(v)) ? null : Math.max(0, Number(v)));
+  return {
+    id: r.id || uid("rule"),
+    match: RULE_MATCH_MODES[r.match] ? r.match : "contains", // how pattern is compared with the description
+    pattern: String(r.pattern || "").trim(), // "" = any description
+    minAmount: amount(r.minAmount), // null = no bound
+    maxAmount: amount(r.maxAmount),
+    dayFrom: normalizeDayOfMonth(r.dayFrom), // day of month range; a blank end means just dayFrom
+    dayTo: normalizeDayOfMonth(r.dayTo),
+    category: String(r.category || "").trim() || FALLBACK_CATEGORY,
+    rename: String(r.rename || "").trim() // replaces the description when set
+  };
+}
+
+export const GOAL_PRIORITIES = {
+  high: "High",
+  medium: "Medium",
+  low: "Low"
+};
+
+export function normalizeGoal(g) {
+  return {
+    id: g.id || uid("goal"),
+    name: String(g.name || "").trim(),
+    category: String(g.category || "").trim() || "Savings", // where its required contribution is planned
+    targetAmount: Math.max(0, num(g.targetAmount)),
+    targetDate: isValidDateISO(g.targetDate) ? g.targetDate : "",
+    startingBalance: Math.max(0, num(g.startingBalance)), // already saved when the goal was set up
+    priority: GOAL_PRIORITIES[g.priority] ? g.priority : "medium"
+  };
+}
+
+export function normalizeDayOfMonth(v) {
+  // A day of the month (1–31; bills due on the 29th–31st move to the last day of shorter months); null = not set.
+  const day = Math.round(num(v));
+  return day >= 1 && day <= 31 ? day : null;
+}
+
+export function normalizeDebt(d) {
+  return {
+    id: d.id || uid("debt"),
+    name: String(d.name || "").trim(),
+    currency: isCurrencyCode(d.currency) ? d.currency : "", // "" = base; amounts below are in this currency
+    balance: num(d.balance),
+    aprPct: Math.max(0, num(d.aprPct)),
+    // "fixed": minPayment is the monthly minimum. "percent": minPct of balance + interest, minPayment is the floor.
+    minMode: d.minMode === "percent" ? "percent" : "fixed",
+    minPct: clamp(num(d.minPct), 0, 100),
+    minPayment: Math.max(0, num(d.minPayment)),
+    promoAprPct: Math.max(0, num(d.promoAprPct)),
+    promoEndDate: isValidDateISO(d.promoEndDate) ? d.promoEndDate : "",
+    dueDay: normalizeDayOfMonth(d.dueDay), // when the minimum is paid, for the cash-flow forecast
+    lumpSums: storedRecords(d.lumpSums)
+      .map(l => ({ id: l.id || uid("lump"), month: String(l.month || ""), amount: num(l.amount), note: String(l.note || "").trim() }))
+      .filter(l => /^\d{4}-\d{2}$/.test(l.month) && l.amount > 0)
+  };
+}
+
+// Field -> message for a candidate record (before normalizing). Shared by the add forms, inline row editing,
+// the statement importer and the workbook import, so they all accept/reject the same records.
+export function expenseErrors(e) {
+  const errors = {};
+  if (!e.name) errors.name = "Name is required";
+  if (!(e.amount > 0)) errors.amount = "Amount must be greater than 0";
+  return errors;
+}
+
+export function spendingErrors(t, fmt = formatters()) {
+  const errors = {};
+  if (!isValidDateISO(t.date)) errors.date = "Invalid date";
+  if (!(t.amount > 0)) errors.amount = "Amount must be greater than 0";
+  // Split lines are in the transaction's own currency: a stored record's fx.amount, or a candidate's amount.
+  const splits = t.splits || [];
+  const total = t.fx ? t.fx.amount : t.amount;
+  const currency = t.fx ? t.fx.currency : t.currency;
+  if (splits.some(l => !(num(l.amount) > 0))) errors.splits = "Each split line needs an amount greater than 0";
+  else if (splits.length && !splitsBalance(splits, total)) {
+    errors.splits = `Split lines add up to ${fmt.money(splits.reduce((a, l) => a + num(l.amount), 0), currency)}, not the ${fmt.money(total, currency)} total`;
+  }
+  return errors;
+}
+
+export function debtErrors(d) {
+  const errors = {};
+  if (!d.name) errors.name = "Name is required";
+  if (!(d.balance > 0)) errors.balance = "Balance must be greater than 0";
+  return errors;
+}
+
+export function recurringErrors(r) {
+  const errors = {};
+  if (!r.description) errors.description = "Description is required";
+  if (!(r.amount > 0)) errors.amount = "Amount must be greater than 0";
+  if (!isValidDateISO(r.startDate)) errors.startDate = "Start date is required";
+  // An end before the start leaves a template that never comes due.
+  else if (r.endDate && r.endDate < r.startDate) errors.endDate = "End date must be on or after the start date";
+  return errors;
+}
+
+export function lumpSumErrors(l, asOfMonth = currentMonthISO()) {
+  // Payoff plans start with the month after asOfMonth (see buildPayoffPlan), so earlier lump sums would never count.
+  const errors = {};
+  if (!/^\d{4}-\d{2}$/.test(l.month)) errors.month = "Month is required";
+  else if (l.month <= asOfMonth) errors.month = "Pick a later month; the payoff plan starts next month";
+  if (!(l.amount > 0)) errors.amount = "Amount must be greater than 0";
+  return errors;
+}
+
+export function goalErrors(g) {
+  const errors = {};
+  if (!g.name) errors.name = "Name is required";
+  if (!(g.targetAmount > 0)) errors.targetAmount = "Target must be greater than 0";
+  if (!isValidDateISO(g.targetDate)) errors.targetDate = "Target date is required";
+  return errors;
+}
+
+export function ruleErrors(r) {
+  const errors = {};
+  if (!r.pattern && r.minAmount === null && r.maxAmount === null && r.dayFrom === null && r.dayTo === null) {
+    errors.pattern = "Add a description, amount or day condition";
+  } else if (r.match === "regex" && !ruleRegex(r.pattern)) {
+    errors.pattern = "Not a valid regular expression";
+  }
+  if (r.minAmount !== null && r.maxAmount !== null && r.maxAmount < r.minAmount) errors.maxAmount = "Max must be at least the min";
+  if (r.dayFrom !== null && r.dayTo !== null && r.dayTo < r.dayFrom) errors.dayTo = "End day must be on or after the start day";
+  return errors;
+}
+
+export function firstError(errors) {
+  return Object.values(errors)[0] || "";
+}
+
+export function spendingError(t, fmt = formatters()) {
+  return firstError(spendingErrors(t, fmt));
+}
+
+export function normalizeIncomeSource(src) {
+  return {
+    id: src.id || uid("inc"),
+    name: String(src.name || "").trim() || "Income",
+    frequency: PAY_FREQUENCIES[src.frequency] ? src.frequency : "biweekly",
+    grossPerPaycheck: Math.max(0, num(src.grossPerPaycheck)),
+    withholdingPct: clamp(num(src.withholdingPct ?? 20), 0, 60), // simple tax mode only
+    pretax401kPerPaycheck: Math.max(0, num(src.pretax401kPerPaycheck)),
+    hsaPerPaycheck: Math.max(0, num(src.hsaPerPaycheck)),
+    otherDeductionsPerPaycheck: Math.max(0, num(src.otherDeductionsPerPaycheck)),
+    taxable: src.taxable !== false,
+    firstPayday: isValidDateISO(src.firstPayday) ? src.firstPayday : "" // anchors the paydays in the cash-flow forecast
+  };
+}
+
+export function normalizeImportProfile(p) {
+  const col = v => (Number.isInteger(v) && v >= 0 ? v : -1);
+  return {
+    id: p.id || uid("imp"),
+    name: String(p.name || "").trim(),
+    hasHeader: p.hasHeader !== false,
+    dateCol: col(p.dateCol),
+    descCol: col(p.descCol),
+    amountMode: ["negative-out", "positive-out", "debit-credit"].includes(p.amountMode) ? p.amountMode : "negative-out",
+    amountCol: col(p.amountCol),
+    debitCol: col(p.debitCol),
+    creditCol: col(p.creditCol),
+    dateFormat: ["auto", "mdy", "dmy", "ymd"].includes(p.dateFormat) ? p.dateFormat : "auto"
+  };
+}
+
+function storedRecords(list) {
+  // The object entries of a stored collection; anything else (null, strings, a non-array) is skipped.
+  return Array.isArray(list) ? list.filter(x => x && typeof x === "object") : [];
+}
+
+export function migrateState(raw) {
+  // Future-proofing: accept older shapes safely
+  if (!raw || typeof raw !== "object") return defaultState();
+  const s = defaultState();
+
+  // Copy known keys with fallbacks
+  s.ledgerMonth = /^\d{4}-\d{2}$/.test(raw.ledgerMonth) ? raw.ledgerMonth : s.ledgerMonth;
+
+  if (raw.income && typeof raw.income === "object") {
+    s.income.taxMode = raw.income.taxMode === "progressive" ? "progressive" : "simple";
+    s.income.filingStatus = FILING_STATUSES[raw.income.filingStatus] ? raw.income.filingStatus : s.income.filingStatus;
+    s.income.taxYear = TAX_TABLES[raw.income.taxYear] ? Number(raw.income.taxYear) : s.income.taxYear;
+    s.income.stateTaxPct = clamp(num(raw.income.stateTaxPct), 0, 20);
+
+    if (Array.isArray(raw.income.sources)) {
+      s.income.sources = storedRecords(raw.income.sources).map(normalizeIncomeSource);
+    } else {
+      // Single-paycheck shape (before income sources): the paycheck becomes the first source and
+      // otherMonthlyIncome a non-taxable monthly source, so take-home is unchanged.
+      s.income.sources = [normalizeIncomeSource({
+        name: "Paycheck",
+        frequency: raw.income.frequency,
+        grossPerPaycheck: raw.income.grossPerPaycheck,
+        withholdingPct: raw.income.taxRatePct ?? 20,
+        pretax401kPerPaycheck: raw.income.pretax401kPerPaycheck,
+        hsaPerPaycheck: raw.income.hsaPerPaycheck,
+        otherDeductionsPerPaycheck: raw.income.otherDeductionsPerPaycheck
+      })];
+      if (num(raw.income.otherMonthlyIncome) > 0) {
+        s.income.sources.push(normalizeIncomeSource({
+          name: "Other income",
+          frequency: "monthly",
+          grossPerPaycheck: raw.income.otherMonthlyIncome,
+          withholdingPct: 0,
+          taxable: false
+        }));
+      }
+    }
+  }
+
+  s.expenses = storedRecords(raw.expenses).map(e => ({
+    id: e.id || uid("exp"),
+    name: String(e.name || "").trim(),
+    category: String(e.category || "").trim() || FALLBACK_CATEGORY,
+    amount: num(e.amount),
+    dueDay: normalizeDayOfMonth(e.dueDay)
+  })).filter(e => e.name && e.amount > 0);
+
+  // Stored transactions are only dropped for a missing amount; a date that can't be repaired stays for the user to
+  // fix (the inline editor flags it) rather than being lost on the next save.
+  s.spending = storedRecords(raw.spending).map(normalizeSpending).filter(t => t.amount > 0);
+
+  s.debts = storedRecords(raw.debts).map(normalizeDebt).filter(d => d.name && d.balance > 0);
+
+  if (raw.payoff && typeof raw.payoff === "object") {
+    s.payoff.strategy = PAYOFF_STRATEGIES[raw.payoff.strategy] ? raw.payoff.strategy : "avalanche";
+    s.payoff.extraPayment = Math.max(0, num(raw.payoff.extraPayment));
+  }
+
+  if (storedRecords(raw.categories).length > 0) {
+    s.categories = [];
+    for (const c of storedRecords(raw.categories).map(normalizeCategory)) {
+      if (c.name && !findCategory(s.categories, c.name)) s.categories.push(c);
+    }
+  }
+  ensureCategories(s.categories, [FALLBACK_CATEGORY, ...s.expenses.map(e => e.category), ...s.spending.flatMap(t => spendingLines(t).map(l => l.category))]);
+  for (const c of s.categories) if (c.name === FALLBACK_CATEGORY) c.archived = false;
+
+  s.recurring = storedRecords(raw.recurring).map(normalizeRecurring).filter(r => r.description && r.amount > 0);
+  ensureCategories(s.categories, s.recurring.map(r => r.category));
+
+  s.rules = storedRecords(raw.rules).map(normalizeRule).filter(x => !firstError(ruleErrors(x)));
+  ensureCategories(s.categories, s.rules.map(x => x.category));
+
+  s.goals = storedRecords(raw.goals).map(normalizeGoal).filter(g => !firstError(goalErrors(g)));
+  ensureCategories(s.categories, s.goals.map(g => g.category));
+  // Links to goals that no longer exist are dropped.
+  const goalIds = new Set(s.goals.map(g => g.id));
+  for (const t of s.spending) if (t.goalId && !goalIds.has(t.goalId)) t.goalId = null;
+
+  if (raw.budget && typeof raw.budget === "object") {
+    s.budget.mode = raw.budget.mode === "envelope" ? "envelope" : "standard";
+    s.budget.envelopeStartMonth = /^\d{4}-\d{2}$/.test(raw.budget.envelopeStartMonth) ? raw.budget.envelopeStartMonth : "";
+  }
+
+  s.trendMonths = [3, 6, 12, 24].includes(raw.trendMonths) ? raw.trendMonths : s.trendMonths;
+
+  if (raw.cashFlow && typeof raw.cashFlow === "object") {
+    s.cashFlow.startingBalance = num(raw.cashFlow.startingBalance);
+    s.cashFlow.floor = num(raw.cashFlow.floor);
+    s.cashFlow.days = CASHFLOW_HORIZONS.includes(raw.cashFlow.days) ? raw.cashFlow.days : s.cashFlow.days;
+  }
+
+  if (raw.regional && typeof raw.regional === "object") {
+    s.regional.currency = isCurrencyCode(raw.regional.currency) ? raw.regional.currency : s.regional.currency;
+    s.regional.locale = LOCALES[raw.regional.locale] ? raw.regional.locale : "";
+  }
+  s.fxRates = sortFxRates(storedRecords(raw.fxRates).map(normalizeFxRate)
+    .filter(r => isCurrencyCode(r.currency) && r.currency !== s.regional.currency && r.effectiveDate && r.rate > 0));
+  settleBaseCurrency(s);
+
+  s.importProfiles = storedRecords(raw.importProfiles).map(normalizeImportProfile).filter(p => p.name);
+
+  return s;
+}
+
+/* ------------------------------ Core Calculations ------------------------------ */
+
+export function bracketTax(taxable, brackets) {
+  // Marginal tax over [upper bound, rate %] brackets; returns { tax, marginalRatePct }.
+  let tax = 0;
+  let lower = 0;
+  let marginalRatePct = 0;
+  for (const [upper, ratePct] of brackets) {
+    if (taxable <= lower) break;
+    const top = upper === null ? taxable : Math.min(taxable, upper);
+    tax += (top - lower) * (ratePct / 100);
+    marginalRatePct = ratePct;
+    if (upper === null) break;
+    lower = upper;
+  }
+  return { tax, marginalRatePct };
+}
+
+export function annualTaxes(wages, settings, fmt = formatters()) {
+  // wages: one { gross, pretax401k, hsa } (annual) per taxable source. Income tax and Medicare's
+  // additional-rate threshold apply to the household; the Social Security wage base applies per source.
+  // 401(k) lowers income-tax wages only; payroll HSA contributions also skip Social Security/Medicare.
+  const table = TAX_TABLES[settings.taxYear] || TAX_TABLES[latestTaxYear()];
+  const status = FILING_STATUSES[settings.filingStatus] ? settings.filingStatus : "single";
+
+  const perSource = wages.map(w => ({
+    incomeWages: Math.max(0, w.gross - w.pretax401k - w.hsa),
+    ficaWages: Math.max(0, w.gross - w.hsa)
+  }));
+  const incomeWages = perSource.reduce((a, w) => a + w.incomeWages, 0);
+  const ficaWages = perSource.reduce((a, w) => a + w.ficaWages, 0);
+  const federalTaxable = Math.max(0, incomeWages - table.standardDeduction[status]);
+
+  const federal = bracketTax(federalTaxable, table.brackets[status]);
+  const ssBySource = perSource.map(w => Math.min(w.ficaWages, table.socialSecurity.wageBase) * (table.socialSecurity.ratePct / 100));
+  const medicare = ficaWages * (table.medicare.ratePct / 100)
+    + Math.max(0, ficaWages - table.medicare.additionalThreshold[status]) * (table.medicare.additionalRatePct / 100);
+  const stateTax = incomeWages * (clamp(num(settings.stateTaxPct), 0, 20) / 100);
+
+  // Household taxes are attributed to sources in proportion to the wages they're levied on.
+  const share = (part, whole) => (whole > 0 ? part / whole : 0);
+  const bySource = perSource.map((w, i) =>
+    (federal.tax + stateTax) * share(w.incomeWages, incomeWages) + medicare * share(w.ficaWages, ficaWages) + ssBySource[i]);
+
+  return {
+    federalTaxable,
+    marginalRatePct: federal.marginalRatePct,
+    bySource,
+    lines: [
+      { key: "federal", label: `Federal income tax (${settings.taxYear}, ${FILING_STATUSES[status]})`, annual: federal.tax },
+      { key: "socialSecurity", label: `Social Security (${table.socialSecurity.ratePct}% up to ${fmt.money(table.socialSecurity.wageBase)} per source)`, annual: ssBySource.reduce((a, v) => a + v, 0) },
+      { key: "medicare", label: `Medicare (${table.medicare.ratePct}% + ${table.medicare.additionalRatePct}% over threshold)`, annual: medicare },
+      { key: "state", label: `State income tax (${num(settings.stateTaxPct)}%)`, annual: stateTax }
+    ]
+  };
+}
+
+export function calcIncomeMonthly(inc, fmt = formatters()) {
+  // Step-by-step, per source:
+  // 1) monthlyGross = grossPerPaycheck * paychecksPerMonth
+  // 2) pretax = (401(k) + HSA) per paycheck * paychecksPerMonth
+  // 3) taxes = non-taxable: 0
+  //            simple: (monthlyGross - pretax) * withholdingPct
+  //            progressive: that source's share of annualTaxes() over all taxable sources / 12
+  // 4) deductions = pretax + otherDeductionsPerPaycheck * paychecksPerMonth
+  // 5) monthlyNet = monthlyGross - taxes - deductions
+  // Household totals are the sums over sources.
+  const sources = inc.sources.map(src => {
+    const ppm = paymentsPerMonth(src.frequency);
+    const pretax401k = Math.max(0, num(src.pretax401kPerPaycheck)) * ppm;
+    const hsa = Math.max(0, num(src.hsaPerPaycheck)) * ppm;
+    return {
+      id: src.id,
+      name: src.name,
+      frequency: src.frequency,
+      taxable: src.taxable,
+      ppm,
+      monthlyGross: Math.max(0, num(src.grossPerPaycheck)) * ppm,
+      pretax401k,
+      hsa,
+      taxes: 0,
+      deductions: pretax401k + hsa + Math.max(0, num(src.otherDeductionsPerPaycheck)) * ppm,
+      withholdingPct: num(src.withholdingPct)
+    };
+  });
+  const taxable = sources.filter(x => x.taxable);
+
+  let taxLines;
+  let marginalRatePct;
+  if (inc.taxMode === "progressive") {
+    const annual = annualTaxes(taxable.map(x => ({ gross: x.monthlyGross * 12, pretax401k: x.pretax401k * 12, hsa: x.hsa * 12 })), inc, fmt);
+    taxable.forEach((x, i) => { x.taxes = annual.bySource[i] / 12; });
+    taxLines = annual.lines.map(l => ({ key: l.key, label: l.label, monthly: l.annual / 12 }));
+    marginalRatePct = annual.marginalRatePct;
+  } else {
+    for (const x of taxable) x.taxes = Math.max(0, x.monthlyGross - x.pretax401k - x.hsa) * (x.withholdingPct / 100);
+    taxLines = taxable.map(x => ({ key: `flat_${x.id}`, label: `${x.name} withholding (${x.withholdingPct}%)`, monthly: x.taxes }));
+    marginalRatePct = taxable.reduce((a, x) => Math.max(a, x.withholdingPct), 0);
+  }
+
+  for (const x of sources) x.monthlyNet = x.monthlyGross - x.taxes - x.deductions;
+
+  const total = key => sources.reduce((a, x) => a + x[key], 0);
+  const monthlyGross = total("monthlyGross");
+  const taxes = total("taxes");
+  const effectiveRatePct = monthlyGross > 0 ? (taxes / monthlyGross) * 100 : 0;
+  return {
+    sources,
+    monthlyGross,
+    pretax401k: total("pretax401k"),
+    hsa: total("hsa"),
+    taxes,
+    taxLines,
+    deductions: total("deductions"),
+    monthlyNet: total("monthlyNet"),
+    marginalRatePct,
+    effectiveRatePct
+  };
+}
+
+export function sumPlannedExpenses(expenses) {
+  return expenses.reduce((a, e) => a + num(e.amount), 0);
+}
+
+export function spendingForMonth(spending, ledgerMonth) {
+  return spending.filter(t => monthFromDateISO(t.date) === ledgerMonth);
+}
+
+export function groupByMonth(spending) {
+  // Month -> transactions, for callers that walk many months (envelope rollover, trends) in one pass.
+  const byMonth = new Map();
+  for (const t of spending) {
+    const m = monthFromDateISO(t.date);
+    if (!byMonth.has(m)) byMonth.set(m, []);
+    byMonth.get(m).push(t);
+  }
+  return byMonth;
+}
+
+export function sumSpending(transactions) {
+  // Net spending: expenses less refunds.
+  return transactions.reduce((a, t) => a + spendingSign(t) * num(t.amount), 0);
+}
+
+export function sumIncome(transactions) {
+  return transactions.reduce((a, t) => a + (t.type === "income" ? num(t.amount) : 0), 0);
+}
+
+// Ledger view filter: { text, type, categories: [] (= all), minAmount, maxAmount, from, to } with blank meaning "any".
+// A date range (either end) replaces the ledger month, so it can span months.
+export function emptyLedgerFilter() {
+  return { text: "", type: "", categories: [], minAmount: "", maxAmount: "", from: "", to: "" };
+}
+
+export function ledgerFilterActive(f) {
+  return Boolean(f.text.trim() || f.type || f.categories.length || f.minAmount !== "" || f.maxAmount !== "" || f.from || f.to);
+}
+
+export function filterLedger(spending, f, ledgerMonth) {
+  const text = f.text.trim().toLowerCase();
+  const cats = new Set(f.categories);
+  const min = f.minAmount === "" ? -Infinity : num(f.minAmount);
+  const max = f.maxAmount === "" ? Infinity : num(f.maxAmount);
+  const byDate = f.from || f.to;
+  return (byDate ? spending : spendingForMonth(spending, ledgerMonth)).filter(t =>
+    (!byDate || ((!f.from || t.date >= f.from) && (!f.to || t.date <= f.to))) &&
+    (!text || t.description.toLowerCase().includes(text)) &&
+    (!f.type || t.type === f.type) &&
+    (!cats.size || spendingLines(t).some(l => cats.has(l.category))) &&
+    num(t.amount) >= min && num(t.amount) <= max
+  );
+}
+
+export function ledgerFilterTotal(txns, f) {
+  // Net spending, except that a view of only income or transfers totals those instead. With a category filter,
+  // split transactions only count their lines in the chosen categories.
+  const sign = f.type === "income" || f.type === "transfer" ? () => 1 : spendingSign;
+  const cats = new Set(f.categories);
+  return txns.reduce((a, t) => a + sign(t) * (f.categories.length
+    ? spendingLines(t).filter(l => cats.has(l.category)).reduce((b, l) => b + num(l.amount), 0)
+    : num(t.amount)), 0);
+}
+
+export function sortLedger(txns, key, dir) {
+  // Ties fall back to date so equal amounts/categories stay in a predictable order.
+  const sign = dir === "desc" ? -1 : 1;
+  const cmp = key === "amount" ? (a, b) => num(a.amount) - num(b.amount) : (a, b) => String(a[key] || "").localeCompare(String(b[key] || ""));
+  return txns.slice().sort((a, b) => sign * (cmp(a, b) || (a.date || "").localeCompare(b.date || "")));
+}
+
+export function describeLedgerFilter(f, ledgerMonth, fmt) {
+  const parts = [];
+  if (f.from && f.to) parts.push(`${fmt.formatDate(f.from)} to ${fmt.formatDate(f.to)}`);
+  else if (f.from || f.to) parts.push(f.from ? `from ${fmt.formatDate(f.from)}` : `up to ${fmt.formatDate(f.to)}`);
+  else parts.push(`ledger month ${fmt.formatMonth(ledgerMonth)}`);
+  if (f.text.trim()) parts.push(`description contains "${f.text.trim()}"`);
+  if (f.type) parts.push(`type: ${TXN_TYPES[f.type]}`);
+  if (f.categories.length) parts.push(`categories: ${f.categories.join(", ")}`);
+  if (f.minAmount !== "" || f.maxAmount !== "") parts.push(`amount ${f.minAmount === "" ? "any" : fmt.money(f.minAmount)} – ${f.maxAmount === "" ? "any" : fmt.money(f.maxAmount)}`);
+  return parts.join("; ");
+}
+
+export function groupByCategory(items, getAmount) {
+  // Split transactions count each line under its own category.
+  const map = new Map();
+  for (const it of items) {
+    for (const line of spendingLines(it)) {
+      const cat = line.category || FALLBACK_CATEGORY;
+      map.set(cat, (map.get(cat) || 0) + getAmount(line));
+    }
+  }
+  return map;
+}
+
+export function spendingByCategory(txns) {
+  // Net actuals per category (split lines counted under their own categories).
+  const map = new Map();
+  for (const t of txns) {
+    const sign = spendingSign(t);
+    if (!sign) continue;
+    for (const line of spendingLines(t)) {
+      const cat = line.category || FALLBACK_CATEGORY;
+      map.set(cat, (map.get(cat) || 0) + sign * num(line.amount));
+    }
+  }
+  return map;
+}
+
+export function budgetStatus(planned, actual) {
+  const pctUsed = planned <= 0 ? (actual > 0 ? 100 : 0) : (actual / planned) * 100;
+  let status = "OK";
+  if (planned > 0 && actual > planned) status = "Over";
+  else if (planned > 0 && pctUsed >= 90) status = "Near";
+  else if (planned === 0 && actual > 0) status = "Over"; // spending without a plan
+  return { pctUsed, status };
+}
+
+export function budgetVsActual(expenses, spendingMonthTxns, categories, startingBalances = null) {
+  // startingBalances (envelope mode): Map category -> amount carried in from the previous month.
+  const planned = groupByCategory(expenses, e => num(e.amount));
+  const actual = spendingByCategory(spendingMonthTxns);
+
+  // Rows follow the user's category order; groups are listed in order of first appearance.
+  const order = categories.map(c => c.name);
+  const carried = startingBalances || new Map();
+  for (const cat of [...planned.keys(), ...actual.keys(), ...carried.keys()]) if (!order.includes(cat)) order.push(cat);
+  const groupOf = new Map(categories.map(c => [c.name, c.group]));
+  const groupOrder = [...new Set(order.map(cat => groupOf.get(cat) || ""))];
+  order.sort((a, b) => groupOrder.indexOf(groupOf.get(a) || "") - groupOrder.indexOf(groupOf.get(b) || ""));
+
+  const rows = order.map(cat => {
+    const p = planned.get(cat) || 0;
+    const a = actual.get(cat) || 0;
+    const starting = carried.get(cat) || 0;
+    const available = starting + p;
+    const remaining = available - a;
+    const { pctUsed, status } = budgetStatus(available, a);
+    return { category: cat, group: groupOf.get(cat) || "", starting, planned: p, available, actual: a, remaining, pctUsed, status };
+  }).filter(r => r.planned > 0 || Math.abs(r.actual) >= 0.005 || Math.abs(r.starting) >= 0.005);
+
+  // Alerts: include only “Over” or “Near”
+  const alerts = rows
+    .filter(r => r.status === "Over" || r.status === "Near")
+    .sort((a, b) => (b.actual - b.available) - (a.actual - a.available));
+
+  return { rows, alerts };
+}
+
+/* ------------------------------ Envelope Rollover ------------------------------ */
+
+export function rolloverCarry(category, remainder) {
+  if (!category || category.rollover === "all") return remainder;
+  if (category.rollover === "reset") return 0;
+  // "capped": a surplus carries up to the cap; an overspend always carries in full
+  return remainder > 0 ? Math.min(remainder, category.rolloverCap) : remainder;
+}
+
+export function envelopeStartMonth(spending, budget, ledgerMonth) {
+  if (budget.envelopeStartMonth) return budget.envelopeStartMonth;
+  const first = spending.reduce((min, t) => {
+    const m = monthFromDateISO(t.date);
+    return !min || m < min ? m : min;
+  }, "");
+  return first && first < ledgerMonth ? first : ledgerMonth;
+}
+
+export function envelopeBalances(expenses, spending, categories, startMonth, month) {
+  // Starting balance per category for `month`: each earlier month's allocation (the planned
+  // budget) minus its actuals, carried forward through the category's rollover rule.
+  const planned = groupByCategory(expenses, e => num(e.amount));
+  const carry = new Map();
+  const txnsByMonth = groupByMonth(spending);
+
+  for (let m = startMonth; m < month; m = addMonthsISO(m, 1)) {
+    const actual = spendingByCategory(txnsByMonth.get(m) || []);
+    const cats = new Set([...planned.keys(), ...actual.keys(), ...carry.keys()]);
+    for (const cat of cats) {
+      const remainder = (carry.get(cat) || 0) + (planned.get(cat) || 0) - (actual.get(cat) || 0);
+      carry.set(cat, rolloverCarry(findCategory(categories, cat), remainder));
+    }
+  }
+  return carry;
+}
+
+export function budgetForMonth(s, month, asOfMonth = currentMonthISO()) {
+  // Budget vs Actual for a month, honoring the budget mode. Goal contributions are the ones due as of asOfMonth.
+  const monthTxns = spendingForMonth(s.spending, month);
+  const planned = plannedItems(s, asOfMonth);
+  if (s.budget.mode !== "envelope") return budgetVsActual(planned, monthTxns, s.categories);
+
+  const start = envelopeStartMonth(s.spending, s.budget, month);
+  const balances = envelopeBalances(planned, s.spending, s.categories, start, month);
+  return budgetVsActual(planned, monthTxns, s.categories, balances);
+}
+
+/* ------------------------------ Currency Conversion ------------------------------ */
+
+// Transactions are converted once, at the rate in effect on their date, and keep the original amount and rate
+// in fx; totals only ever read the converted amount. Debts stay in their own currency (a balance is a current
+// figure) and are converted at today's rate whenever the payoff plan or totals need them.
+export function fxRate(rates, base, currency, dateISO) {
+  // Base units per unit of currency on dateISO: the latest rate effective on or before it, or null.
+  if (!currency || currency === base) return 1;
+  let best = null;
+  for (const r of rates) {
+    if (r.currency === currency && r.effectiveDate <= dateISO && (!best || r.effectiveDate > best.effectiveDate)) best = r;
+  }
+  return best ? best.rate : null;
+}
+
+export function fxErrors(currency, dateISO, s) {
+  // Field -> message, like the record validators; blank currency means the base currency.
+  if (!currency || fxRate(s.fxRates, s.regional.currency, currency, dateISO) !== null) return {};
+  return { currency: `No ${currency} exchange rate on or before ${formatters(s.regional).formatDate(dateISO)}; add one under Currency & Locale` };
+}
+
+export function convertSpending(t, s) {
+  // t: a candidate with its amount (and split lines) in t.currency ("" = base). Returns what normalizeSpending()
+  // should see: the base amount, plus fx for another currency. Check fxErrors() first.
+  const { currency, ...rest } = t;
+  if (!currency || currency === s.regional.currency) return { ...rest, fx: null };
+  const rate = fxRate(s.fxRates, s.regional.currency, currency, t.date);
+  return { ...rest, fx: { currency, amount: num(t.amount), rate }, amount: roundCents(num(t.amount) * rate) };
+}
+
+export function settleBaseCurrency(s) {
+  // Records in what is now the base currency no longer need converting.
+  for (const d of s.debts) if (d.currency === s.regional.currency) d.currency = "";
+  s.spending = s.spending.map(t => (t.fx && t.fx.currency === s.regional.currency ? normalizeSpending({ ...t, fx: null, amount: t.fx.amount }) : t));
+}
+
+export function reconvertSpending(s) {
+  // After the rate table or base currency changes: re-rate foreign transactions from the table. A transaction
+  // with no rate for its date any more keeps the rate it was converted at. Returns how many changed.
+  settleBaseCurrency(s);
+  let changed = 0;
+  s.spending = s.spending.map(t => {
+    if (!t.fx) return t;
+    const rate = fxRate(s.fxRates, s.regional.currency, t.fx.currency, t.date);
+    if (rate === null || rate === t.fx.rate) return t;
+    changed++;
+    return normalizeSpending({ ...t, fx: { ...t.fx, rate } });
+  });
+  return changed;
+}
+
+export function debtRate(s, d, asOfISO = todayISO()) {
+  // Today's rate for a debt's currency; 1 (treated as base) if the table has none, flagged in the debt list.
+  return fxRate(s.fxRates, s.regional.currency, d.currency, asOfISO) ?? 1;
+}
+
+export function debtsInBase(s, asOfISO = todayISO()) {
+  // Debts with every amount converted to the base currency, for the payoff engine and totals.
+  return s.debts.map(d => {
+    if (!d.currency) return d;
+    const r = debtRate(s, d, asOfISO);
+    return {
+      ...d,
+      currency: "",
+      balance: roundCents(d.balance * r),
+      minPayment: roundCents(d.minPayment * r),
+      lumpSums: d.lumpSums.map(l => ({ ...l, amount: roundCents(l.amount * r) }))
+    };
+  });
+}
+
+export function knownCurrencies(s) {
+  // Currencies a record can be entered in: the base, plus any with a rate.
+  return [s.regional.currency, ...new Set(s.fxRates.map(r => r.currency).sort())];
+}
+
+/* ------------------------------ Savings Goals ------------------------------ */
+
+export function monthsBetween(fromMonth, toMonth) {
+  // Whole months from one YYYY-MM to another (negative if toMonth is earlier).
+  const [fy, fm] = fromMonth.split("-").map(Number);
+  const [ty, tm] = toMonth.split("-").map(Number);
+  return (ty * 12 + tm) - (fy * 12 + fm);
+}
+
+export function goalProgress(goal, spending, month = currentMonthISO()) {
+  // Saved so far is the starting balance plus linked transactions (a linked refund takes money back out).
+  const linked = spending.filter(t => t.goalId === goal.id);
+  const contributed = linked.reduce((a, t) => a + (t.type === "refund" ? -1 : 1) * num(t.amount), 0);
+  const saved = goal.startingBalance + contributed;
+  const remaining = Math.max(0, goal.targetAmount - saved);
+  const targetMonth = monthFromDateISO(goal.targetDate);
+
+  // Required: what's left spread over the months up to the target, counting this one (all of it once overdue).
+  const monthsLeft = Math.max(0, monthsBetween(month, targetMonth) + 1);
+  const required = remaining > 0 ? remaining / Math.max(1, monthsLeft) : 0;
+
+  // Pace: average contribution per month from the first linked transaction through this month.
+  const firstMonth = linked.reduce((min, t) => {
+    const m = monthFromDateISO(t.date);
+    return !min || m < min ? m : min;
+  }, "");
+  const paceMonths = firstMonth && firstMonth <= month ? monthsBetween(firstMonth, month) + 1 : 0;
+  const pace = paceMonths ? contributed / paceMonths : 0;
+  const projectedMonth = remaining <= 0 ? month : pace > 0 ? addMonthsISO(month, Math.ceil(remaining / pace)) : null;
+
+  let status;
+  if (remaining <= 0) status = "Reached";
+  else if (monthsLeft === 0) status = "Overdue";
+  else if (!projectedMonth) status = "Not started";
+  else status = projectedMonth <= targetMonth ? "On track" : "Behind";
+
+  return {
+    goal,
+    contributed,
+    saved,
+    remaining,
+    pctDone: goal.targetAmount > 0 ? Math.min(100, (saved / goal.targetAmount) * 100) : 0,
+    monthsLeft,
+    required,
+    pace,
+    projectedMonth,
+    status
+  };
+}
+
+export function goalsProgress(s, month = currentMonthISO()) {
+  // Highest priority first, then the nearest target date.
+  const rank = Object.keys(GOAL_PRIORITIES);
+  return s.goals
+    .map(g => goalProgress(g, s.spending, month))
+    .sort((a, b) => rank.indexOf(a.goal.priority) - rank.indexOf(b.goal.priority) || a.goal.targetDate.localeCompare(b.goal.targetDate));
+}
+
+export function plannedItems(s, asOfMonth = currentMonthISO()) {
+  // The planned budget: expenses plus each unfinished goal's required monthly contribution, under its category.
+  const goals = goalsProgress(s, asOfMonth)
+    .filter(p => p.required > 0)
+    .map(p => ({ id: p.goal.id, name: `Goal: ${p.goal.name}`, category: p.goal.category, amount: roundCents(p.required), goalId: p.goal.id }));
+  return [...s.expenses, ...goals];
+}
+
+/* ------------------------------ Trend Analysis ------------------------------ */
+
+export function average(values) {
+  return values.length ? values.reduce((a, v) => a + v, 0) / values.length : 0;
+}
+
+export function roundUpTo(n, step) {
+  return Math.ceil(n / step) * step;
+}
+
+export function trendAnalysis(expenses, spending, categories, endMonth, count) {
+  const months = monthRange(endMonth, count);
+  const planned = groupByCategory(expenses, e => num(e.amount));
+
+  const txnsByMonth = groupByMonth(spending);
+  const byMonth = months.map(m => spendingByCategory(txnsByMonth.get(m) || []));
+
+  // Months before the first recorded transaction would drag averages toward zero, so skip them.
+  const firstMonth = spending.reduce((min, t) => {
+    const m = monthFromDateISO(t.date);
+    return !min || m < min ? m : min;
+  }, "");
+  const trackedIdx = months.map((m, i) => (firstMonth && m >= firstMonth ? i : -1)).filter(i => i >= 0);
+
+  const order = categories.map(c => c.name);
+  for (const map of byMonth) for (const cat of map.keys()) if (!order.includes(cat)) order.push(cat);
+
+  const rows = order.map(cat => {
+    const actuals = byMonth.map(map => map.get(cat) || 0);
+    const tracked = trackedIdx.map(i => actuals[i]);
+    const last = actuals[actuals.length - 1];
+    const prev = actuals.length > 1 ? actuals[actuals.length - 2] : 0;
+    const p = planned.get(cat) || 0;
+    const rangeAvg = average(tracked);
+
+    return {
+      category: cat,
+      group: findCategory(categories, cat)?.group || "",
+      planned: p,
+      actuals,
+      avg3: average(tracked.slice(-3)),
+      avg6: average(tracked.slice(-6)),
+      rangeAvg,
+      momChange: last - prev,
+      momPct: prev > 0 ? ((last - prev) / prev) * 100 : null,
+      overCount: trackedIdx.filter(i => budgetStatus(p, actuals[i]).status === "Over").length,
+      suggested: roundUpTo(rangeAvg, 5)
+    };
+  }).filter(r => r.planned > 0 || r.actuals.some(a => Math.abs(a) >= 0.005));
+
+  const totals = months.map((_, i) => rows.reduce((a, r) => a + r.actuals[i], 0));
+  return { months, trackedMonths: trackedIdx.length, rows, totals };
+}
+
+export function rebalanceCategory(expenses, category, target) {
+  // Scales the category's planned items so they sum to target (adds one item if there are none).
+  const items = expenses.filter(e => e.category === category);
+  const total = items.reduce((a, e) => a + num(e.amount), 0);
+  if (target <= 0) return;
+
+  if (items.length === 0) {
+    expenses.push({ id: uid("exp"), name: category, category, amount: target });
+    return;
+  }
+
+  let remaining = target;
+  items.forEach((e, i) => {
+    const share = total > 0 ? num(e.amount) / total : 1 / items.length;
+    const amount = i === items.length - 1 ? remaining : Math.round(target * share * 100) / 100;
+    e.amount = Math.round(amount * 100) / 100;
+    remaining -= e.amount;
+  });
+}
+
+/* ------------------------------ Debt Payoff Engine ------------------------------ */
+
+export const PAYOFF_STRATEGIES = {
+  avalanche: "Avalanche (highest APR first)",
+  snowball: "Snowball (lowest balance first)",
+  custom: "Custom (your list order)"
+};
+
+export function promoEndMonth(debt) {
+  return debt.promoEndDate ? monthFromDateISO(debt.promoEndDate) : "";
+}
+
+export function debtAprForMonth(debt, month) {
+  // The promo rate covers months before the promo end month; the end month accrues at the regular APR.
+  const end = promoEndMonth(debt);
+  return end && month < end ? debt.promoAprPct : debt.aprPct;
+}
+
+export function debtMinimumDue(debt, interest) {
+  // Balance here is the pre-interest balance for the month.
+  if (debt.minMode !== "percent") return debt.minPayment;
+  return Math.max(debt.minPayment, debt.balance * (debt.minPct / 100) + interest);
+}
+
+export function describeDebtApr(debt, fmt) {
+  const apr = `${num(debt.aprPct).toFixed(2)}%`;
+  return debt.promoEndDate ? `${apr} (${num(debt.promoAprPct).toFixed(2)}% until ${fmt.formatDate(debt.promoEndDate)})` : apr;
+}
+
+export function describeDebtMinimum(debt, fmt) {
+  if (debt.minMode !== "percent") return fmt.money(debt.minPayment, debt.currency);
+  return `${num(debt.minPct)}% + interest (min ${fmt.money(debt.minPayment, debt.currency)})`;
+}
+
+export function buildPayoffPlan(debtsInput, strategy, extraPayment, startMonth = currentMonthISO(), fmt = formatters()) {
+  // strategy: "avalanche" | "snowball" | "custom" (debtsInput order) | "minimums" (no extra payment)
+  // Month m of the plan is addMonthsISO(startMonth, m); promo periods and lump sums are matched on that month.
+  const lumpsByMonth = new Map();
+  for (const d of debtsInput) {
+    for (const l of d.lumpSums || []) {
+      if (!lumpsByMonth.has(l.month)) lumpsByMonth.set(l.month, []);
+      lumpsByMonth.get(l.month).push({ debtId: d.id, amount: Math.max(0, num(l.amount)), note: l.note || "" });
+    }
+  }
+
+  const debts = debtsInput
+    .map((d, order) => ({
+      ...normalizeDebt(d),
+      id: d.id,
+      name: String(d.name || "").trim() || "Debt",
+      order,
+      balance: Math.max(0, num(d.balance)),
+      rate: 0
+    }))
+    .filter(d => d.balance > 0);
+
+  if (debts.length === 0) {
+    return { months: 0, payoffLabel: "—", schedule: [], totalInterest: 0, totalPaid: 0, debtPayoffMonths: {} };
+  }
+
+  const baseExtra = strategy === "minimums" ? 0 : Math.max(0, num(extraPayment));
+  const maxMonths = 600;
+
+  const sortActive = () => {
+    const active = debts.filter(d => d.balance > 0);
+    if (strategy === "snowball") active.sort((a, b) => a.balance - b.balance || b.rate - a.rate);
+    else if (strategy === "custom") active.sort((a, b) => a.order - b.order);
+    else active.sort((a, b) => b.rate - a.rate || a.balance - b.balance);
+    return active;
+  };
+
+  const schedule = [];
+  const debtPayoffMonths = Object.fromEntries(debts.map(d => [d.id, null]));
+  let totalInterest = 0;
+  let totalPaid = 0;
+  let consecutiveNoProgress = 0;
+
+  const result = (months, payoffLabel) => ({ months, payoffLabel, schedule, totalInterest, totalPaid, debtPayoffMonths });
+
+  for (let m = 1; m <= maxMonths; m++) {
+    const month = addMonthsISO(startMonth, m);
+    const notes = [];
+    for (const d of debts) {
+      d.rate = debtAprForMonth(d, month);
+      // A promo ending in startMonth is noted in month 1, the first planned month at the regular APR.
+      const end = promoEndMonth(d);
+      if (d.balance > 0 && (end === month || (m === 1 && end === startMonth))) notes.push(`${d.name} promo ends (${num(d.aprPct).toFixed(2)}% APR)`);
+    }
+
+    const active = sortActive();
+    if (active.length === 0) return result(m - 1, `${m - 1} month(s)`);
+
+    // 1) apply interest; minimums are computed from the pre-interest balance
+    let interestTotal = 0;
+    const minimumDue = new Map();
+    for (const d of active) {
+      const interest = d.balance * (d.rate / 100) / 12;
+      minimumDue.set(d, debtMinimumDue(d, interest));
+      d.balance += interest;
+      interestTotal += interest;
+    }
+
+    // 2) pay minimums
+    let paidTotal = 0;
+    for (const d of active) {
+      const pay = Math.min(minimumDue.get(d), d.balance);
+      d.balance -= pay;
+      paidTotal += pay;
+    }
+
+    // 3) scheduled lump sums go to their debt; anything left over joins the extra payment
+    let remainingExtra = baseExtra;
+    let lumpSum = 0;
+    for (const l of lumpsByMonth.get(month) || []) {
+      const d = debts.find(x => x.id === l.debtId);
+      const pay = d ? Math.min(l.amount, d.balance) : 0;
+      if (d) d.balance -= pay;
+      paidTotal += pay;
+      remainingExtra += l.amount - pay;
+      lumpSum += l.amount;
+      notes.push(`Lump sum ${fmt.money(l.amount)}${d ? ` → ${d.name}` : ""}${l.note ? ` (${l.note})` : ""}`);
+    }
+
+    // 4) apply extra to target(s) in strategy order
+    const cascade = sortActive(); // re-sort after min payments
+    for (const d of cascade) {
+      if (remainingExtra <= 0) break;
+      if (d.balance <= 0) continue;
+      const pay = Math.min(remainingExtra, d.balance);
+      d.balance -= pay;
+      remainingExtra -= pay;
+      paidTotal += pay;
+    }
+
+    const principalTotal = paidTotal - interestTotal;
+    const totalBalanceRemaining = debts.reduce((a, d) => a + d.balance, 0);
+    const targetName = sortActive()[0]?.name || active[0].name;
+    totalInterest += interestTotal;
+    totalPaid += paidTotal;
+
+    for (const d of active) {
+      if (d.balance <= 0.005) {
+        d.balance = 0;
+        debtPayoffMonths[d.id] = m;
+      }
+    }
+
+    schedule.push({
+      month: m,
+      date: month,
+      target: targetName,
+      paid: paidTotal,
+      interest: interestTotal,
+      principal: principalTotal,
+      lumpSum,
+      totalBalanceRemaining,
+      notes
+    });
+
+    // Feasibility detection: if principal is not positive for 3 consecutive months, it likely will not pay down.
+    if (principalTotal <= 0.01) consecutiveNoProgress++;
+    else consecutiveNoProgress = 0;
+
+    if (consecutiveNoProgress >= 3) {
+      return result(null, "Not feasible (payments not reducing principal)");
+    }
+  }
+
+  return result(null, "Over limit / Not feasible");
+}
+
+export function compareStrategies(debts, extraPayment, startMonth = currentMonthISO(), fmt = formatters()) {
+  // Runs every strategy on the same debts; interest saved is measured against paying minimums only.
+  const runs = [
+    ...Object.entries(PAYOFF_STRATEGIES).map(([key, label]) => ({ key, label })),
+    { key: "minimums", label: "Minimums only (no extra)" }
+  ].map(r => ({ ...r, plan: buildPayoffPlan(debts, r.key, extraPayment, startMonth, fmt) }));
+
+  const baseline = runs.find(r => r.key === "minimums").plan;
+  for (const r of runs) {
+    r.feasible = r.plan.months !== null;
+    r.interestSaved = r.feasible && baseline.months !== null ? baseline.totalInterest - r.plan.totalInterest : null;
+  }
+
+  const feasible = runs.filter(r => r.feasible);
+  const best = feasible.length
+    ? feasible.reduce((a, r) => (r.plan.totalInterest < a.plan.totalInterest - 0.005 ? r : a))
+    : null;
+  return { runs, bestKey: best ? best.key : null };
+}
+
+export function payoffDateLabel(months, fmt, fromMonth = currentMonthISO()) {
+  // Month 1 of a plan is the first payment after fromMonth.
+  return months === null || months === undefined ? "—" : fmt.formatMonth(addMonthsISO(fromMonth, months));
+}
+
+/* ------------------------------ Recurring Transactions ------------------------------ */
+
+export function recurringDates(tpl, untilISO) {
+  // All occurrence dates from the template's start through min(untilISO, endDate), ascending.
+  const out = [];
+  const end = tpl.endDate && tpl.endDate < untilISO ? tpl.endDate : untilISO;
+  if (!isValidDateISO(tpl.startDate) || tpl.startDate > end) return out;
+
+  const [sy, sm, sd] = tpl.startDate.split("-").map(Number);
+  const ymd = (y, m, d) => `${y}-${String(m).padStart(2, "0")}-${String(Math.min(d, daysInMonth(y, m))).padStart(2, "0")}`;
+
+  for (let k = 0; k < 10000; k++) {
+    let date;
+    if (tpl.frequency === "weekly") date = addDaysISO(tpl.startDate, k * 7);
+    else if (tpl.frequency === "biweekly") date = addDaysISO(tpl.startDate, k * 14);
+    else if (tpl.frequency === "yearly") date = ymd(sy + k, sm, sd);
+    else {
+      const idx = sm - 1 + k;
+      date = ymd(sy + Math.floor(idx / 12), (idx % 12) + 1, tpl.dayOfMonth);
+      if (date < tpl.startDate) continue;
+    }
+    if (date > end) break;
+    out.push(date);
+  }
+  return out;
+}
+
+export function dueRecurringDates(tpl, asOfISO) {
+  return recurringDates(tpl, asOfISO).filter(d => d > tpl.postedThrough);
+}
+
+export function nextRecurringDate(tpl) {
+  const horizon = addDaysISO(tpl.postedThrough > tpl.startDate ? tpl.postedThrough : tpl.startDate, 400);
+  return recurringDates(tpl, horizon).find(d => d > tpl.postedThrough) || "";
+}
+
+export function recurringTxn(tpl, date) {
+  return normalizeSpending({
+    date,
+    category: tpl.category,
+    description: tpl.description,
+    amount: tpl.amount,
+    recurringId: tpl.id
+  });
+}
+
+export function postRecurringOccurrence(s, tpl, date) {
+  // postedThrough is the once-only guarantee; the ledger check also covers records restored from elsewhere.
+  const exists = s.spending.some(t => t.recurringId === tpl.id && t.date === date);
+  if (!exists) s.spending.push(recurringTxn(tpl, date));
+  if (date > tpl.postedThrough) tpl.postedThrough = date;
+  return !exists;
+}
+
+export function skipRecurringOccurrence(tpl, date) {
+  if (date > tpl.postedThrough) tpl.postedThrough = date;
+}
+
+export function processRecurring(s, asOfISO) {
+  // Auto-post every due occurrence of "auto" templates; returns the number of transactions created.
+  let posted = 0;
+  for (const tpl of s.recurring) {
+    if (tpl.mode !== "auto") continue;
+    for (const date of dueRecurringDates(tpl, asOfISO)) {
+      if (postRecurringOccurrence(s, tpl, date)) posted++;
+    }
+  }
+  return posted;
+}
+
+export function pendingRecurring(s, asOfISO) {
+  // Due occurrences of "confirm" templates, oldest first.
+  const out = [];
+  for (const tpl of s.recurring) {
+    if (tpl.mode !== "confirm") continue;
+    for (const date of dueRecurringDates(tpl, asOfISO)) out.push({ tpl, date });
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export function describeRecurringSchedule(tpl, fmt) {
+  const base = {
+    weekly: "Weekly",
+    biweekly: "Every 2 weeks",
+    monthly: `Monthly on day ${tpl.dayOfMonth}`,
+    yearly: `Yearly on ${tpl.startDate.slice(5)}`
+  }[tpl.frequency];
+  return `${base} · from ${fmt.formatDate(tpl.startDate)}${tpl.endDate ? ` to ${fmt.formatDate(tpl.endDate)}` : ""}`;
+}
+
+/* ------------------------------ Cash-Flow Forecast ------------------------------ */
+
+export const CASHFLOW_HORIZONS = [60, 90];
+
+export function paydayDates(src, fromISO, untilISO) {
+  // Paydays in [fromISO, untilISO], counted from the source's first payday. Semi-monthly pays on that day of the
+  // month and 15 days after (or before, past the 15th).
+  if (!src.firstPayday) return [];
+  const day = Number(src.firstPayday.slice(8, 10));
+  const templates = src.frequency === "semimonthly"
+    ? [day, day <= 15 ? day + 15 : day - 15].map(dayOfMonth => ({ frequency: "monthly", dayOfMonth, startDate: src.firstPayday }))
+    : [{ frequency: src.frequency, dayOfMonth: day, startDate: src.firstPayday }];
+  return templates
+    .flatMap(tpl => recurringDates(tpl, untilISO))
+    .filter(d => d >= fromISO)
+    .sort();
+}
+
+export function cashFlowEvents(s, fromISO, untilISO) {
+  // Dated money in and out: net paychecks (the source's monthly take-home spread evenly over its paychecks),
+  // planned expenses and debt minimums on their due days. Items without a date are counted in `undated`.
+  const events = [];
+  const undated = { sources: 0, expenses: 0, debts: 0 };
+  const inc = calcIncomeMonthly(s.income, formatters(s.regional));
+  const monthlyOn = dueDay => recurringDates({ frequency: "monthly", dayOfMonth: dueDay, startDate: fromISO }, untilISO);
+
+  s.income.sources.forEach((src, i) => {
+    const x = inc.sources[i];
+    if (!src.firstPayday) {
+      if (x.monthlyNet > 0) undated.sources++;
+      return;
+    }
+    const amount = roundCents(x.monthlyNet / x.ppm);
+    for (const date of paydayDates(src, fromISO, untilISO)) events.push({ date, kind: "income", label: src.name, amount });
+  });
+
+  for (const e of s.expenses) {
+    if (!e.dueDay) {
+      undated.expenses++;
+      continue;
+    }
+    for (const date of monthlyOn(e.dueDay)) events.push({ date, kind: "expense", label: e.name, amount: -num(e.amount) });
+  }
+
+  // Minimums are taken on today's balances; percent-of-balance minimums add a month's interest at that month's APR.
+  for (const d of debtsInBase(s)) {
+    if (!d.dueDay) {
+      undated.debts++;
+      continue;
+    }
+    for (const date of monthlyOn(d.dueDay)) {
+      const interest = d.balance * (debtAprForMonth(d, monthFromDateISO(date)) / 100 / 12);
+      const amount = roundCents(Math.min(d.balance + interest, debtMinimumDue(d, interest)));
+      events.push({ date, kind: "debt", label: `${d.name} minimum`, amount: -amount });
+    }
+  }
+
+  events.sort((a, b) => a.date.localeCompare(b.date) || b.amount - a.amount);
+  return { events, undated };
+}
+
+export function cashFlowForecast(s, fromISO = todayISO()) {
+  // Running balance at the end of each day, from the starting balance at the start of fromISO.
+  const { startingBalance, floor, days: horizon } = s.cashFlow;
+  const untilISO = addDaysISO(fromISO, horizon - 1);
+  const { events, undated } = cashFlowEvents(s, fromISO, untilISO);
+
+  const days = [];
+  let balance = startingBalance;
+  let next = 0;
+  for (let i = 0; i < horizon; i++) {
+    const date = addDaysISO(fromISO, i);
+    const items = [];
+    while (next < events.length && events[next].date === date) items.push(events[next++]);
+    balance = roundCents(balance + items.reduce((a, e) => a + e.amount, 0));
+    days.push({ date, items, balance, belowFloor: balance < floor });
+  }
+
+  // Consecutive days under the floor are reported as one stretch, with its lowest point.
+  const shortfalls = [];
+  for (const d of days) {
+    const last = shortfalls[shortfalls.length - 1];
+    if (!d.belowFloor) continue;
+    if (last && last.end === addDaysISO(d.date, -1)) {
+      last.end = d.date;
+      if (d.balance < last.low.balance) last.low = d;
+    } else {
+      shortfalls.push({ start: d.date, end: d.date, low: d });
+    }
+  }
+
+  return {
+    fromISO,
+    untilISO,
+    floor,
+    days,
+    undated,
+    shortfalls,
+    lowest: days.reduce((a, d) => (d.balance < a.balance ? d : a), days[0]),
+    ending: balance,
+    daysBelow: days.filter(d => d.belowFloor).length
+  };
+}
+
+/* ------------------------------ Categorization Rules ------------------------------ */
+
+const ruleRegexCache = new Map();
+
+export function ruleRegex(pattern) {
+  // Case-insensitive; null if the pattern doesn't compile.
+  if (!ruleRegexCache.has(pattern)) {
+    let re = null;
+    try { re = new RegExp(pattern, "i"); } catch { re = null; }
+    ruleRegexCache.set(pattern, re);
+  }
+  return ruleRegexCache.get(pattern);
+}
+
+export function ruleMatches(rule, t) {
+  // Every condition the rule sets has to hold. Amounts are compared in the base currency.
+  if (rule.pattern) {
+    const desc = String(t.description || "");
+    if (rule.match === "regex") {
+      const re = ruleRegex(rule.pattern);
+      if (!re || !re.test(desc)) return false;
+    } else {
+      const d = desc.toLowerCase();
+      const p = rule.pattern.toLowerCase();
+      if (rule.match === "starts" ? !d.startsWith(p) : !d.includes(p)) return false;
+    }
+  }
+  const amount = num(t.amount);
+  if (rule.minAmount !== null && amount < rule.minAmount) return false;
+  if (rule.maxAmount !== null && amount > rule.maxAmount) return false;
+  if (rule.dayFrom !== null || rule.dayTo !== null) {
+    const day = Number(String(t.date).slice(8, 10));
+    if (day < (rule.dayFrom ?? 1) || day > (rule.dayTo ?? rule.dayFrom)) return false;
+  }
+  return true;
+}
+
+export function applyRules(rules, t) {
+  // First matching rule wins: { txn, rule } with the rule's category and description applied (rule null if none
+  // matched). Split transactions keep their line categories; only the description is cleaned up.
+  const rule = rules.find(r => ruleMatches(r, t)) || null;
+  if (!rule) return { txn: t, rule };
+  return {
+    rule,
+    txn: { ...t, category: t.splits && t.splits.length ? t.category : rule.category, description: rule.rename || t.description }
+  };
+}
+
+export function applyRulesToSpending(s) {
+  // Re-runs the rules over the whole ledger; returns how many transactions changed.
+  let changed = 0;
+  s.spending = s.spending.map(t => {
+    const { txn } = applyRules(s.rules, t);
+    if (txn.category === t.category && txn.description === t.description) return t;
+    changed++;
+    return txn;
+  });
+  return changed;
+}
+
+export function describeRule(rule, fmt) {
+  const parts = [];
+  if (rule.pattern) parts.push(`${rule.match === "regex" ? "matches" : RULE_MATCH_MODES[rule.match].toLowerCase()} "${rule.pattern}"`);
+  if (rule.minAmount !== null && rule.maxAmount !== null) parts.push(`${fmt.money(rule.minAmount)}–${fmt.money(rule.maxAmount)}`);
+  else if (rule.minAmount !== null) parts.push(`at least ${fmt.money(rule.minAmount)}`);
+  else if (rule.maxAmount !== null) parts.push(`at most ${fmt.money(rule.maxAmount)}`);
+  if (rule.dayFrom !== null || rule.dayTo !== null) {
+    const from = rule.dayFrom ?? 1;
+    const to = rule.dayTo ?? rule.dayFrom;
+    parts.push(from === to ? `on day ${from}` : `days ${from}–${to}`);
+  }
+  return parts.join(", ");
+}
+
+export function suggestRulePattern(description) {
+  // The stable part of a bank description: reference numbers, dates and store numbers dropped.
+  const cleaned = String(description || "")
+    .replace(/#\s*\d+/g, " ")
+    .replace(/\b\d[\d/.-]{3,}\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return cleaned || String(description || "").trim();
+}
+
+/* ------------------------------ Snapshot ------------------------------ */
+
+export function computeSnapshot(s, asOfISO = todayISO()) {
+  // The figures for s.ledgerMonth that the KPIs and both exports report, computed once from one state.
+  // Goals, debt conversion, the payoff plan and the cash-flow forecast are as of asOfISO.
+  const asOfMonth = monthFromDateISO(asOfISO);
+  const fmt = formatters(s.regional);
+  const income = calcIncomeMonthly(s.income, fmt);
+  const planned = plannedItems(s, asOfMonth);
+  const plannedTotal = sumPlannedExpenses(planned);
+
+  const monthTxns = spendingForMonth(s.spending, s.ledgerMonth);
+  const actualTotal = sumSpending(monthTxns);
+  const actualIncome = sumIncome(monthTxns);
+
+  const goals = goalsProgress(s, asOfMonth);
+
+  // The selected plan is the comparison's run for the chosen strategy, so the engine runs once per strategy.
+  const debts = debtsInBase(s, asOfISO);
+  const comparison = compareStrategies(debts, s.payoff.extraPayment, asOfMonth, fmt);
+
+  return {
+    asOfISO,
+    month: s.ledgerMonth,
+    envelope: s.budget.mode === "envelope",
+    income,
+    planned,
+    plannedTotal,
+    monthTxns,
+    actualTotal,
+    actualIncome,
+    cashLeft: income.monthlyNet - plannedTotal, // net − planned
+    variance: plannedTotal - actualTotal, // planned − actual
+    incomeVariance: actualIncome - income.monthlyNet, // actual − estimated net
+    budget: budgetForMonth(s, s.ledgerMonth, asOfMonth),
+    goals,
+    goalsRequired: goals.reduce((a, p) => a + p.required, 0),
+    goalsOnTrack: goals.filter(p => p.status === "Reached" || p.status === "On track").length,
+    cashFlow: cashFlowForecast(s, asOfISO),
+    debts,
+    debtTotal: debts.reduce((a, d) => a + num(d.balance), 0),
+    comparison,
+    plan: comparison.runs.find(r => r.key === s.payoff.strategy).plan
+  };
+}
@@ -0,0 +1,397 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  addMonthsISO,
+  applyRules,
+  budgetVsActual,
+  buildPayoffPlan,
+  calcIncomeMonthly,
+  compareStrategies,
+  computeSnapshot,
+  currentMonthISO,
+  defaultState,
+  lumpSumErrors,
+  migrateState,
+  normalizeDebt,
+  normalizeIncomeSource,
+  normalizeRule,
+  normalizeSpending,
+  recurringErrors,
+  spendingForMonth,
+  todayISO
+} from "../core.js";
+
+const close = (actual, expected, msg) => assert.ok(Math.abs(actual - expected) < 0.005, msg ?? `${actual} ≉ ${expected}`);
+
+function stateWith(overrides = {}) {
+  return migrateState({ ...defaultState(), ...overrides });
+}
+
+/* ------------------------------ Income ------------------------------ */
+
+test("biweekly income counts 26 paychecks a year", () => {
+  const inc = calcIncomeMonthly({
+    taxMode: "simple",
+    sources: [normalizeIncomeSource({ name: "Job", frequency: "biweekly", grossPerPaycheck: 2000, withholdingPct: 20, pretax401kPerPaycheck: 100 })]
+  });
+  close(inc.sources[0].ppm, 26 / 12);
+  close(inc.monthlyGross, 2000 * 26 / 12);
+  close(inc.pretax401k, 100 * 26 / 12);
+  // Withholding applies after pre-tax deductions.
+  close(inc.taxes, (2000 - 100) * 26 / 12 * 0.2);
+  close(inc.monthlyNet, inc.monthlyGross - inc.taxes - inc.deductions);
+});
+
+test("non-taxable sources add to take-home without withholding", () => {
+  const inc = calcIncomeMonthly({
+    taxMode: "simple",
+    sources: [
+      normalizeIncomeSource({ frequency: "monthly", grossPerPaycheck: 3000, withholdingPct: 10 }),
+      normalizeIncomeSource({ frequency: "weekly", grossPerPaycheck: 100, taxable: false })
+    ]
+  });
+  close(inc.taxes, 300);
+  close(inc.monthlyNet, 2700 + 100 * 52 / 12);
+  assert.equal(inc.taxLines.length, 1);
+});
+
+test("progressive mode splits household tax across taxable sources", () => {
+  const inc = calcIncomeMonthly({
+    taxMode: "progressive",
+    filingStatus: "single",
+    taxYear: defaultState().income.taxYear,
+    stateTaxPct: 5,
+    sources: [
+      normalizeIncomeSource({ frequency: "monthly", grossPerPaycheck: 6000 }),
+      normalizeIncomeSource({ frequency: "biweekly", grossPerPaycheck: 1000 })
+    ]
+  });
+  close(inc.sources[0].taxes + inc.sources[1].taxes, inc.taxes);
+  close(inc.taxLines.reduce((a, l) => a + l.monthly, 0), inc.taxes);
+  assert.ok(inc.sources[0].taxes > inc.sources[1].taxes);
+});
+
+test("no income sources means zero income and a zero effective rate", () => {
+  const inc = calcIncomeMonthly({ taxMode: "simple", sources: [] });
+  assert.equal(inc.monthlyGross, 0);
+  assert.equal(inc.monthlyNet, 0);
+  assert.equal(inc.effectiveRatePct, 0);
+});
+
+/* ------------------------------ Budget vs Actual ------------------------------ */
+
+test("budget vs actual nets refunds and ignores income and plain transfers", () => {
+  const expenses = [{ name: "Groceries", category: "Food", amount: 400 }];
+  const txns = [
+    { date: "2026-03-02", type: "expense", category: "Food", description: "Market", amount: 250 },
+    { date: "2026-03-03", type: "refund", category: "Food", description: "Return", amount: 50 },
+    { date: "2026-03-04", type: "income", category: "Food", description: "Odd", amount: 999 },
+    { date: "2026-03-05", type: "transfer", category: "Food", description: "To savings", amount: 100 },
+    { date: "2026-03-06", type: "expense", category: "Dining", description: "Cafe", amount: 30 }
+  ].map(normalizeSpending);
+  const { rows } = budgetVsActual(expenses, txns, defaultState().categories);
+  const food = rows.find(r => r.category === "Food");
+  close(food.planned, 400);
+  close(food.actual, 200);
+  close(food.remaining, 200);
+  // Unplanned spending still gets a row.
+  close(rows.find(r => r.category === "Dining").actual, 30);
+});
+
+test("a month's transactions include ones pushed onto the same ledger array", () => {
+  const ledger = [normalizeSpending({ date: "2026-03-02", category: "Food", amount: 10 })];
+  assert.equal(spendingForMonth(ledger, "2026-03").length, 1);
+  ledger.push(normalizeSpending({ date: "2026-03-09", category: "Food", amount: 20 }));
+  assert.equal(spendingForMonth(ledger, "2026-03").length, 2);
+  assert.equal(spendingForMonth(ledger, "2026-04").length, 0);
+});
+
+/* ------------------------------ Debt Payoff ------------------------------ */
+
+test("zero-APR debt pays off in balance / payment months with no interest", () => {
+  const plan = buildPayoffPlan([normalizeDebt({ name: "Phone", balance: 1200, aprPct: 0, minPayment: 100 })], "avalanche", 0, "2026-01");
+  assert.equal(plan.months, 12);
+  assert.equal(plan.totalInterest, 0);
+  close(plan.totalPaid, 1200);
+  assert.equal(plan.schedule[0].date, "2026-02");
+  assert.equal(plan.schedule.at(-1).totalBalanceRemaining, 0);
+});
+
+test("a minimum below the monthly interest is reported as not feasible", () => {
+  const plan = buildPayoffPlan([normalizeDebt({ name: "Card", balance: 10000, aprPct: 24, minPayment: 50 })], "avalanche", 0, "2026-01");
+  assert.equal(plan.months, null);
+  assert.match(plan.payoffLabel, /Not feasible/);
+  // Detection stops early instead of running to the 600-month limit.
+  assert.ok(plan.schedule.length < 12);
+});
+
+test("an extra payment can make an infeasible plan feasible", () => {
+  const debts = [normalizeDebt({ name: "Card", balance: 10000, aprPct: 24, minPayment: 50 })];
+  const { runs, bestKey } = compareStrategies(debts, 300, "2026-01");
+  const minimums = runs.find(r => r.key === "minimums");
+  assert.equal(minimums.feasible, false);
+  assert.equal(minimums.interestSaved, null);
+  assert.ok(runs.find(r => r.key === "avalanche").feasible);
+  assert.notEqual(bestKey, "minimums");
+});
+
+test("no debts gives an empty plan", () => {
+  const plan = buildPayoffPlan([], "snowball", 100);
+  assert.equal(plan.months, 0);
+  assert.deepEqual(plan.schedule, []);
+});
+
+test("avalanche pays less interest than snowball when the small debt has the low rate", () => {
+  const debts = [
+    normalizeDebt({ id: "a", name: "Small", balance: 500, aprPct: 5, minPayment: 25 }),
+    normalizeDebt({ id: "b", name: "Large", balance: 5000, aprPct: 25, minPayment: 100 })
+  ];
+  const { runs, bestKey } = compareStrategies(debts, 200, "2026-01");
+  const interest = key => runs.find(r => r.key === key).plan.totalInterest;
+  assert.ok(interest("avalanche") < interest("snowball"));
+  assert.ok(interest("snowball") < interest("minimums"));
+  assert.equal(bestKey, "avalanche");
+  // Snowball clears the small balance first.
+  const snowball = runs.find(r => r.key === "snowball").plan.debtPayoffMonths;
+  assert.ok(snowball.a < snowball.b);
+});
+
+test("a promo APR applies until its end month", () => {
+  const debt = normalizeDebt({ name: "Card", balance: 1000, aprPct: 24, promoAprPct: 0, promoEndDate: "2026-04-15", minPayment: 100 });
+  const plan = buildPayoffPlan([debt], "avalanche", 0, "2026-01");
+  assert.equal(plan.schedule[0].interest, 0); // 2026-02
+  assert.equal(plan.schedule[1].interest, 0); // 2026-03
+  assert.ok(plan.schedule[3].interest > 0); // 2026-05
+});
+
+test("a lump sum in the first plan month is paid in that month", () => {
+  const debt = normalizeDebt({ name: "Card", balance: 1000, aprPct: 0, minPayment: 100, lumpSums: [{ month: "2026-02", amount: 300 }] });
+  const plan = buildPayoffPlan([debt], "avalanche", 0, "2026-01");
+  assert.equal(plan.schedule[0].date, "2026-02");
+  assert.equal(plan.schedule[0].lumpSum, 300);
+  assert.equal(plan.schedule[0].totalBalanceRemaining, 600);
+  assert.equal(plan.months, 7);
+});
+
+test("lump sums must fall after the current month", () => {
+  assert.ok(lumpSumErrors({ month: "2026-01", amount: 300 }, "2026-01").month);
+  assert.ok(lumpSumErrors({ month: "2025-12", amount: 300 }, "2026-01").month);
+  assert.deepEqual(lumpSumErrors({ month: "2026-02", amount: 300 }, "2026-01"), {});
+});
+
+test("a promo ending in the start month is noted in the first plan month", () => {
+  const debt = normalizeDebt({ name: "Card", balance: 1000, aprPct: 24, promoAprPct: 0, promoEndDate: "2026-01-20", minPayment: 100 });
+  const plan = buildPayoffPlan([debt], "avalanche", 0, "2026-01");
+  assert.ok(plan.schedule[0].interest > 0);
+  assert.deepEqual(plan.schedule[0].notes, ["Card promo ends (24.00% APR)"]);
+});
+
+/* ------------------------------ Recurring Transactions ------------------------------ */
+
+test("recurring templates need a description, an amount, a start date and an end on or after the start", () => {
+  const tpl = { description: "Rent", amount: 1200, startDate: "2026-01-01", endDate: "" };
+  assert.deepEqual(recurringErrors(tpl), {});
+  assert.deepEqual(recurringErrors({ ...tpl, endDate: "2026-01-01" }), {});
+  assert.deepEqual(Object.keys(recurringErrors({ ...tpl, description: "", amount: 0 })), ["description", "amount"]);
+  assert.ok(recurringErrors({ ...tpl, startDate: "" }).startDate);
+  assert.ok(recurringErrors({ ...tpl, endDate: "2025-12-31" }).endDate);
+});
+
+/* ------------------------------ Categorization Rules ------------------------------ */
+
+test("the first matching rule sets category and description; splits keep their category", () => {
+  const rules = [
+    normalizeRule({ match: "starts", pattern: "amzn", category: "Shopping", rename: "Amazon" }),
+    normalizeRule({ minAmount: 1000, dayFrom: 1, dayTo: 5, category: "Housing" })
+  ];
+  const { txn, rule } = applyRules(rules, { date: "2026-03-02", amount: 1500, description: "AMZN Mktp", category: "Other", splits: [] });
+  assert.equal(rule, rules[0]);
+  assert.equal(txn.category, "Shopping");
+  assert.equal(txn.description, "Amazon");
+  assert.equal(applyRules(rules, { date: "2026-03-09", amount: 1500, description: "Landlord", splits: [] }).rule, null);
+  const split = applyRules(rules, { date: "2026-03-02", amount: 20, description: "amzn", category: "Gifts", splits: [{}, {}] }).txn;
+  assert.equal(split.category, "Gifts");
+});
+
+/* ------------------------------ Migration ------------------------------ */
+
+test("non-object stored state falls back to defaults", () => {
+  for (const raw of [null, undefined, "", "{not json", 42, true]) {
+    const s = migrateState(raw);
+    assert.deepEqual(s.spending, []);
+    assert.equal(s.income.sources.length, 1);
+  }
+});
+
+test("malformed collections and settings are dropped or reset instead of throwing", () => {
+  const s = migrateState({
+    ledgerMonth: 202603,
+    income: { taxMode: "weird", taxYear: 1999, stateTaxPct: 99, sources: [null, "x", { grossPerPaycheck: -5, frequency: "daily" }] },
+    expenses: [null, 7, { name: "Rent", amount: "1200" }, { name: "", amount: 10 }],
+    spending: [null, "x", { date: "2026-03-01", amount: "12.5", category: "Food" }, { amount: "abc" }],
+    debts: [null, { name: "Card", balance: 500, aprPct: -3, lumpSums: [null, { month: "2026-05", amount: 50 }] }, { name: "Empty", balance: 0 }],
+    categories: [null, { name: "Food" }, { name: "food" }, 5],
+    recurring: [null, { description: "Gym", amount: 30 }],
+    goals: "nope",
+    rules: [null, { pattern: "(", match: "regex", category: "Food" }, { pattern: "cafe", category: "Dining" }],
+    fxRates: [null, { currency: "EUR", effectiveDate: "2026-01-01", rate: 1.1 }, { currency: "usd", rate: 2 }],
+    importProfiles: [null, { name: "Bank" }],
+    payoff: { strategy: "random", extraPayment: -50 },
+    cashFlow: { startingBalance: "100", days: 45 },
+    regional: { currency: "XXXX", locale: "tlh" },
+    trendMonths: 7
+  });
+  assert.match(s.ledgerMonth, /^\d{4}-\d{2}$/);
+  assert.equal(s.income.taxMode, "simple");
+  assert.equal(s.income.stateTaxPct, 20);
+  assert.equal(s.income.sources.length, 1);
+  assert.equal(s.income.sources[0].grossPerPaycheck, 0);
+  assert.equal(s.income.sources[0].frequency, "biweekly");
+  assert.deepEqual(s.expenses.map(e => [e.name, e.amount]), [["Rent", 1200]]);
+  assert.equal(s.spending.length, 1);
+  assert.equal(s.spending[0].amount, 12.5);
+  assert.deepEqual(s.debts.map(d => [d.name, d.aprPct, d.lumpSums.length]), [["Card", 0, 1]]);
+  assert.equal(s.categories.filter(c => c.name.toLowerCase() === "food").length, 1);
+  assert.ok(s.categories.some(c => c.name === "Dining"));
+  assert.equal(s.recurring.length, 1);
+  assert.deepEqual(s.goals, []);
+  assert.deepEqual(s.rules.map(r => r.pattern), ["cafe"]);
+  assert.deepEqual(s.fxRates.map(r => r.currency), ["EUR"]);
+  assert.deepEqual(s.importProfiles.map(p => p.name), ["Bank"]);
+  assert.equal(s.payoff.strategy, "avalanche");
+  assert.equal(s.payoff.extraPayment, 0);
+  assert.deepEqual(s.cashFlow, { startingBalance: 100, floor: 0, days: 60 });
+  assert.equal(s.regional.currency, "USD");
+  assert.equal(s.regional.locale, "");
+  assert.equal(s.trendMonths, 12);
+});
+
+test("stored transactions with non-ISO dates are repaired or kept, not dropped", () => {
+  const s = migrateState({
+    spending: [
+      { id: "a", date: "2024-1-5", amount: 10 },
+      { id: "b", date: "2024/01/05", amount: 10 },
+      { id: "c", date: "2024-01-05T14:30:00Z", amount: 10 },
+      { id: "d", date: "sometime", amount: 10 }
+    ]
+  });
+  assert.deepEqual(s.spending.map(t => [t.id, t.date]), [["a", "2024-01-05"], ["b", "2024-01-05"], ["c", "2024-01-05"], ["d", "sometime"]]);
+});
+
+test("the single-paycheck shape becomes income sources with the same take-home", () => {
+  const s = migrateState({
+    income: { frequency: "biweekly", grossPerPaycheck: 2000, taxRatePct: 25, otherMonthlyIncome: 300 }
+  });
+  assert.equal(s.income.sources.length, 2);
+  assert.equal(s.income.sources[0].withholdingPct, 25);
+  assert.equal(s.income.sources[1].taxable, false);
+  close(calcIncomeMonthly(s.income).monthlyNet, 2000 * 26 / 12 * 0.75 + 300);
+});
+
+test("migrating twice gives the same state", () => {
+  const once = migrateState({
+    expenses: [{ id: "e1", name: "Rent", category: "Housing", amount: 1200, dueDay: 1 }],
+    spending: [{ id: "t1", date: "2026-03-01", category: "Housing", description: "Rent", amount: 1200 }],
+    debts: [{ id: "d1", name: "Card", balance: 900, aprPct: 19.9, minPayment: 35 }]
+  });
+  assert.deepEqual(migrateState(JSON.parse(JSON.stringify(once))), once);
+});
+
+/* ------------------------------ Snapshot ------------------------------ */
+
+test("computeSnapshot reports the month's KPIs from one state", () => {
+  const month = currentMonthISO();
+  const s = stateWith({
+    ledgerMonth: month,
+    income: { taxMode: "simple", sources: [{ frequency: "monthly", grossPerPaycheck: 5000, withholdingPct: 20 }] },
+    expenses: [
+      { name: "Rent", category: "Housing", amount: 1500 },
+      { name: "Groceries", category: "Food", amount: 500 }
+    ],
+    spending: [
+      { date: `${month}-01`, category: "Housing", description: "Rent", amount: 1500 },
+      { date: `${month}-02`, category: "Food", description: "Market", amount: 320 },
+      { date: `${month}-03`, type: "income", category: "Other", description: "Payroll", amount: 4100 },
+      { date: `${addMonthsISO(month, -1)}-28`, category: "Food", description: "Last month", amount: 99 }
+    ],
+    debts: [{ id: "d1", name: "Card", balance: 1000, aprPct: 0, minPayment: 100 }],
+    payoff: { strategy: "snowball", extraPayment: 100 }
+  });
+
+  const snap = computeSnapshot(s, todayISO());
+  close(snap.income.monthlyNet, 4000);
+  close(snap.plannedTotal, 2000);
+  close(snap.actualTotal, 1820);
+  close(snap.actualIncome, 4100);
+  close(snap.cashLeft, 2000);
+  close(snap.variance, 180);
+  close(snap.incomeVariance, 100);
+  close(snap.debtTotal, 1000);
+  assert.equal(snap.monthTxns.length, 3);
+  assert.equal(snap.plan, snap.comparison.runs.find(r => r.key === "snowball").plan);
+  assert.equal(snap.plan.months, 5);
+  assert.equal(snap.budget.rows.find(r => r.category === "Food").actual, 320);
+  assert.equal(snap.cashFlow.fromISO, todayISO());
+});
+
+test("computeSnapshot adds required goal contributions to the plan", () => {
+  const asOf = "2026-01-15";
+  const s = stateWith({
+    ledgerMonth: "2026-01",
+    expenses: [{ name: "Rent", category: "Housing", amount: 1000 }],
+    goals: [{ id: "g1", name: "Trip", category: "Savings", targetAmount: 1200, targetDate: "2026-12-31" }]
+  });
+  const snap = computeSnapshot(s, asOf);
+  assert.equal(snap.goals.length, 1);
+  assert.ok(snap.goalsRequired > 0);
+  close(snap.plannedTotal, 1000 + snap.planned.find(p => p.goalId === "g1").amount);
+  assert.equal(snap.goalsOnTrack, 0);
+});
+
+test("computeSnapshot converts foreign debts at the as-of rate", () => {
+  const s = stateWith({
+    fxRates: [
+      { currency: "EUR", effectiveDate: "2026-01-01", rate: 1.1 },
+      { currency: "EUR", effectiveDate: "2026-06-01", rate: 1.2 }
+    ],
+    debts: [{ name: "Loan", currency: "EUR", balance: 1000, aprPct: 0, minPayment: 100 }]
+  });
+  close(computeSnapshot(s, "2026-03-01").debtTotal, 1100);
+  close(computeSnapshot(s, "2026-07-01").debtTotal, 1200);
+});
+
+test("computeSnapshot picks up transactions added to the ledger between calls", () => {
+  const month = currentMonthISO();
+  const s = stateWith({ ledgerMonth: month, spending: [{ date: `${month}-01`, category: "Food", description: "Market", amount: 40 }] });
+  close(computeSnapshot(s).actualTotal, 40);
+  s.spending.push(normalizeSpending({ date: `${month}-02`, category: "Food", description: "Bakery", amount: 10 }));
+  const snap = computeSnapshot(s);
+  close(snap.actualTotal, 50);
+  assert.equal(snap.monthTxns.length, 2);
+});
+
+test("computeSnapshot formats text with its own state's currency and locale", () => {
+  const asOf = todayISO();
+  const lumpMonth = addMonthsISO(currentMonthISO(), 1);
+  const withLump = regional => stateWith({
+    regional,
+    debts: [{ name: "Card", balance: 1000, aprPct: 0, minPayment: 100, lumpSums: [{ month: lumpMonth, amount: 250 }] }]
+  });
+  const lumpNote = snap => snap.plan.schedule.find(r => r.date === lumpMonth).notes[0];
+  const us = withLump({ currency: "USD", locale: "en-US" });
+  const de = withLump({ currency: "EUR", locale: "de-DE" });
+  const first = lumpNote(computeSnapshot(us, asOf));
+  assert.match(lumpNote(computeSnapshot(de, asOf)), /250,00\s€/);
+  assert.equal(lumpNote(computeSnapshot(us, asOf)), first);
+  assert.match(first, /\$250\.00/);
+});
+
+test("computeSnapshot handles an empty budget", () => {
+  const snap = computeSnapshot(defaultState());
+  assert.equal(snap.plannedTotal, 0);
+  assert.equal(snap.actualTotal, 0);
+  assert.equal(snap.debtTotal, 0);
+  assert.equal(snap.plan.months, 0);
+  assert.deepEqual(snap.goals, []);
+});